@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 // File: enhanced-qa-agent.js
 
 import readline from 'readline';
@@ -7,25 +8,218 @@ import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import { spawn } from 'child_process';
 import crypto from 'crypto';
+import os from 'os';
+import zlib from 'zlib';
+import { pathToFileURL } from 'url';
 import { PROMPTS } from './prompts.js';
 
 // Optional dependency dengan graceful fallback
 let showdown;
 try {
-  showdown = await import('showdown');
+  showdown = (await import('showdown')).default;
 } catch (e) {
   console.log("💡 Tip: Install 'showdown' for enhanced HTML export: npm install showdown");
 }
 
-dotenv.config();
+dotenv.config({ quiet: true });
+
+// =====================
+// SAFE FILE WRITES
+// =====================
+// Files are written to a temporary name, flushed and renamed into place, so a
+// crash leaves either the old or the new content, never half a file. Writers
+// that read-modify-write take an advisory lock (<file>.lock) first; a lock
+// whose process is gone, or that is older than STALE_LOCK_MS, is taken over.
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function isStaleLock(lockPath) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    if (Date.now() - new Date(lock.at).getTime() > STALE_LOCK_MS) return true;
+    return lock.host === os.hostname() && !isProcessAlive(lock.pid);
+  } catch {
+    // Unreadable lock: stale only once it is old enough that its writer cannot still be filling it
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+    } catch {
+      return false;
+    }
+  }
+}
+
+// Moves the stale lock to a name of our own instead of deleting it, so two
+// processes taking over at once cannot delete each other's fresh lock. If
+// what we moved turns out to be fresh (another process got there first and
+// locked again), it is linked back; linking never replaces an existing lock.
+function takeOverStaleLock(lockPath) {
+  const movedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (!isStaleLock(movedPath)) {
+    try {
+      fs.linkSync(movedPath, lockPath);
+    } catch {
+      // A newer lock is already in place
+    }
+  }
+  fs.rmSync(movedPath, { force: true });
+}
+
+function acquireLock(filePath, timeoutMs = LOCK_TIMEOUT_MS) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }), { flag: 'wx' });
+      return lockPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (isStaleLock(lockPath)) {
+      takeOverStaleLock(lockPath);
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`${filePath} is locked by another anyany process (remove ${lockPath} if none is running)`);
+    }
+    sleepSync(50);
+  }
+}
+
+function withFileLock(filePath, fn) {
+  const lockPath = acquireLock(filePath);
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
 
 // =====================
 // SESSION MANAGEMENT
 // =====================
+// Conversations are stored in full. Strings longer than `sessions.inlineLimit`
+// characters (config, default 4096) and large prompts are written once to
+// sessions/blobs/<sha256>.txt and referenced as { "$blob": "<sha256>" }.
+// Version 1 files cut inputs to 500 and outputs to 1000 characters; they are
+// upgraded on load or with "anyany sessions migrate", and cut text is flagged
+// in the conversation's `metadata.truncated`.
+const SESSION_FORMAT_VERSION = 2;
+const DEFAULT_INLINE_LIMIT = 4096;
+const V1_TRUNCATION = { input: 500, output: 1000 };
+// Descriptive fields edited from the menu or CLI rather than by conversations
+const SESSION_LABELS = ['name', 'tags', 'notes'];
+
+// Chat turns are flagged in their metadata; older ones are known by their task ("Chat" or "Chat: <task>")
+function isChatTurn(conv) {
+  return conv.metadata?.chat === true || /^Chat(:|$)/.test(conv.task || '');
+}
+
+// A file that was read but holds no usable session; only these (and JSON
+// syntax errors) are quarantined, a failed read is just skipped
+class InvalidSessionError extends Error {}
+
+function isDamagedSessionError(error) {
+  return error instanceof SyntaxError || error instanceof InvalidSessionError;
+}
+
+// Throws unless `session` has the fields every reader relies on
+function validateSession(session) {
+  if (!session || typeof session !== 'object' || Array.isArray(session)) throw new InvalidSessionError('not a JSON object');
+  if (typeof session.id !== 'string' || !session.id) throw new InvalidSessionError('missing session id');
+  if (!Array.isArray(session.conversations)) throw new InvalidSessionError('missing conversations list');
+  return session;
+}
+
+// Key that identifies the same conversation in two copies of a session
+function conversationKey(conv) {
+  return JSON.stringify([conv.timestamp, conv.input, conv.output]);
+}
+
+// "project:payments, PAY-123 sprint:14" -> ['project:payments', 'PAY-123', 'sprint:14'], duplicates dropped
+function normalizeTags(tags) {
+  const seen = new Set();
+  return [tags].flat().filter(Boolean)
+    .flatMap(value => String(value).split(/[\s,]+/))
+    .map(tag => tag.trim().replace(/^#/, ''))
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+}
+
+function sessionHasTag(session, tag) {
+  return (session.tags || []).some(value => value.toLowerCase() === tag.toLowerCase());
+}
+
+// "name (3 conversations) [project:payments, PAY-123]" for pickers and lists
+function formatSessionLabel(session) {
+  const tags = session.tags?.length ? ` [${session.tags.join(', ')}]` : '';
+  return `${session.name} (${session.conversations} conversations)${tags}`;
+}
+
+// Session ids name files in ./sessions, so "../x" or "a/b" must never reach a path
+function isValidSessionId(id) {
+  return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
+
+// Upgrades an older session object in place; returns whether anything changed
+function migrateSession(session) {
+  if ((session.version || 1) >= SESSION_FORMAT_VERSION) return false;
+
+  session.conversations = (session.conversations || []).map(conv => {
+    const truncated = Object.entries(V1_TRUNCATION)
+      .filter(([field, limit]) => typeof conv[field] === 'string' &&
+        conv[field].length === limit + 3 && conv[field].endsWith('...'))
+      .map(([field]) => field);
+    return truncated.length ? { ...conv, metadata: { ...conv.metadata, truncated } } : conv;
+  });
+  session.models = session.models || [];
+  session.totalRequests = session.totalRequests ?? session.conversations.length;
+  session.version = SESSION_FORMAT_VERSION;
+  return true;
+}
+
 class SessionManager {
   constructor() {
     this.sessionsDir = './sessions';
     this.currentSession = null;
+    // Requests added since the last save, for merging with another process's writes
+    this.unsavedRequests = 0;
+    // Placeholder text -> blob reference for content that could not be read
+    this.missingBlobs = new Map();
     this.ensureSessionsDir();
   }
 
@@ -42,6 +236,7 @@ class SessionManager {
     
     this.currentSession = {
       id: sessionId,
+      version: SESSION_FORMAT_VERSION,
       name: sessionName,
       created: timestamp,
       conversations: [],
@@ -49,38 +244,293 @@ class SessionManager {
       models: []
     };
 
+    this.unsavedRequests = 0;
+    budgetTracker.useSession(this.currentSession);
     this.saveSession();
     return this.currentSession;
   }
 
+  sessionPath(sessionId) {
+    if (!isValidSessionId(sessionId)) throw new Error(`Invalid session id "${sessionId}"`);
+    return path.join(this.sessionsDir, `${sessionId}.json`);
+  }
+
+  /**
+   * Saves the current session under its lock. If another process saved the
+   * same session since it was loaded, conversations from both are kept.
+   */
   saveSession() {
     if (!this.currentSession) return;
-    
-    const filePath = path.join(this.sessionsDir, `${this.currentSession.id}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(this.currentSession, null, 2));
+    const session = this.currentSession;
+    const filePath = this.sessionPath(session.id);
+
+    withFileLock(filePath, () => {
+      let onDisk = null;
+      try {
+        onDisk = fs.existsSync(filePath) ? validateSession(JSON.parse(fs.readFileSync(filePath, 'utf8'))) : null;
+      } catch {
+        // Damaged on disk, the in-memory copy replaces it
+      }
+
+      if (onDisk && (onDisk.revision || 0) > (session.revision || 0)) {
+        const theirs = this.internalize(onDisk);
+        // Conversations the other process folded into a compaction summary stay folded
+        const compacted = new Set(theirs.conversations.flatMap(conv => conv.metadata?.compacted?.keys || []));
+        const ours = session.conversations.filter(conv => !compacted.has(compactedKey(conv)));
+        const known = new Set(ours.map(conversationKey));
+        session.conversations = [...ours, ...theirs.conversations.filter(conv => !known.has(conversationKey(conv)))]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        if (compacted.size > 0) {
+          session.compactions = theirs.compactions;
+          delete session.contextSummary;
+        }
+        // Renames, tags and notes are written straight to disk (updateSession)
+        SESSION_LABELS.forEach(field => {
+          if (theirs[field] === undefined) delete session[field];
+          else session[field] = theirs[field];
+        });
+        session.totalRequests = (theirs.totalRequests || 0) + this.unsavedRequests;
+        session.models = [...new Set([...(theirs.models || []), ...session.models])];
+      }
+
+      session.revision = Math.max(session.revision || 0, onDisk?.revision || 0) + 1;
+      this.writeStoredSession(session);
+      this.unsavedRequests = 0;
+    });
+  }
+
+  writeSessionFile(session) {
+    withFileLock(this.sessionPath(session.id), () => this.writeStoredSession(session));
+  }
+
+  writeStoredSession(session) {
+    writeFileAtomic(this.sessionPath(session.id), JSON.stringify(this.externalize(session), null, 2));
   }
 
   loadSession(sessionId) {
-    const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
-    if (fs.existsSync(filePath)) {
-      this.currentSession = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      return this.currentSession;
+    const session = this.readSessionFile(sessionId);
+    if (!session) return null;
+    this.currentSession = session;
+    this.unsavedRequests = 0;
+    budgetTracker.useSession(this.currentSession);
+    return this.currentSession;
+  }
+
+  /**
+   * A session with its blobs resolved, without making it current; older
+   * formats are upgraded. An unreadable file is quarantined and gives null.
+   */
+  readSessionFile(sessionId) {
+    if (!isValidSessionId(sessionId)) return null;
+    const filePath = this.sessionPath(sessionId);
+    if (!fs.existsSync(filePath)) return null;
+    let stored;
+    try {
+      stored = validateSession(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      this.handleUnreadable(filePath, error);
+      return null;
     }
-    return null;
+    const session = this.internalize(stored);
+    if (migrateSession(session)) this.writeSessionFile(session);
+    return session;
+  }
+
+  get quarantineDir() {
+    return path.join(this.sessionsDir, 'quarantine');
+  }
+
+  get archiveDir() {
+    return CONFIG.retention?.archiveDir || path.join(this.sessionsDir, 'archive');
+  }
+
+  // Damaged files are quarantined; files that could not be read (permissions,
+  // too many open files...) stay where they are and are skipped this time
+  handleUnreadable(filePath, error) {
+    if (isDamagedSessionError(error)) {
+      this.quarantine(filePath, error.message);
+    } else {
+      console.log(`⚠️  Skipping session file ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  // Moves a damaged file aside so one bad file cannot break listing or loading
+  quarantine(filePath, reason) {
+    const target = path.join(this.quarantineDir, `${path.basename(filePath)}.${Date.now()}`);
+    try {
+      fs.mkdirSync(this.quarantineDir, { recursive: true });
+      fs.renameSync(filePath, target);
+      console.log(`⚠️  Unreadable session file ${path.basename(filePath)} (${reason}) moved to ${target}. Run "anyany sessions repair" to recover it.`);
+    } catch (error) {
+      console.log(`⚠️  Skipping unreadable session file ${path.basename(filePath)} (${reason}): ${error.message}`);
+    }
+  }
+
+  // Upgrades every older session file; returns { migrated, truncated, total }
+  migrateSessions() {
+    const files = fs.readdirSync(this.sessionsDir).filter(f => f.endsWith('.json'));
+    const summary = { migrated: 0, truncated: 0, total: files.length };
+    files.forEach(f => {
+      let session;
+      try {
+        session = validateSession(JSON.parse(fs.readFileSync(path.join(this.sessionsDir, f), 'utf8')));
+      } catch (error) {
+        this.handleUnreadable(path.join(this.sessionsDir, f), error);
+        return;
+      }
+      if (!migrateSession(session)) return;
+      this.writeSessionFile(session);
+      summary.migrated++;
+      summary.truncated += session.conversations.filter(conv => conv.metadata?.truncated).length;
+    });
+    return summary;
+  }
+
+  get blobsDir() {
+    return path.join(this.sessionsDir, 'blobs');
+  }
+
+  // Content-addressed, so identical text (e.g. a repeated system prompt) is stored once
+  writeBlob(text, json = false) {
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const filePath = path.join(this.blobsDir, `${hash}.txt`);
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(this.blobsDir, { recursive: true });
+      writeFileAtomic(filePath, text);
+    } else {
+      // Touched so blob cleanup does not remove it before the session is saved
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+    }
+    return { $blob: hash, length: text.length, ...(json ? { json: true } : {}) };
+  }
+
+  // An unreadable blob reads as a placeholder that externalize turns back
+  // into the original reference, so saving the session cannot lose it
+  readBlob(ref) {
+    try {
+      const text = fs.readFileSync(path.join(this.blobsDir, `${ref.$blob}.txt`), 'utf8');
+      return ref.json ? JSON.parse(text) : text;
+    } catch (error) {
+      console.log(`⚠️  Session content ${ref.$blob} could not be read: ${error.message}`);
+      const placeholder = `[missing content ${ref.$blob}]`;
+      this.missingBlobs.set(placeholder, ref);
+      return placeholder;
+    }
+  }
+
+  // Replaces long strings, and prompts (message arrays) by key, with blob references
+  externalize(value, key = null) {
+    const limit = CONFIG.sessions?.inlineLimit ?? DEFAULT_INLINE_LIMIT;
+    if (typeof value === 'string' && this.missingBlobs.has(value)) return this.missingBlobs.get(value);
+    if (typeof value === 'string') return value.length > limit ? this.writeBlob(value) : value;
+    if (key === 'prompt' && Array.isArray(value)) {
+      const json = JSON.stringify(value);
+      return json.length > limit ? this.writeBlob(json, true) : value;
+    }
+    if (Array.isArray(value)) return value.map(item => this.externalize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.externalize(item, name)]));
+    }
+    return value;
+  }
+
+  internalize(value) {
+    if (Array.isArray(value)) return value.map(item => this.internalize(item));
+    if (value && typeof value === 'object') {
+      if (typeof value.$blob === 'string') return this.readBlob(value);
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.internalize(item)]));
+    }
+    return value;
   }
 
   listSessions() {
     const files = fs.readdirSync(this.sessionsDir).filter(f => f.endsWith('.json'));
-    return files.map(f => {
+    return files.flatMap(f => {
       const filePath = path.join(this.sessionsDir, f);
-      const session = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      return {
+      let session;
+      try {
+        session = validateSession(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      } catch (error) {
+        this.handleUnreadable(filePath, error);
+        return [];
+      }
+      if (!isValidSessionId(session.id)) {
+        console.log(`⚠️  Skipping session file ${f}: invalid id "${session.id}"`);
+        return [];
+      }
+      return [{
         id: session.id,
-        name: session.name,
+        name: session.name || session.id,
         created: session.created,
-        conversations: session.conversations?.length || 0
-      };
+        conversations: session.conversations.length,
+        tags: session.tags || [],
+        ...(session.notes ? { notes: this.internalize(session.notes) } : {}),
+        ...(session.forkedFrom ? { forkedFrom: session.forkedFrom } : {})
+      }];
+    });
+  }
+
+  /**
+   * Renames, tags or annotates any session. The change is written to disk
+   * under the lock right away; a loaded copy picks it up and keeps it when
+   * it is next saved.
+   */
+  updateSession(sessionId, changes) {
+    const filePath = this.sessionPath(sessionId);
+    let updated;
+    withFileLock(filePath, () => {
+      if (!fs.existsSync(filePath)) throw new Error(`Session not found: ${sessionId}`);
+      const stored = validateSession(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      updated = { ...stored, ...changes, revision: (stored.revision || 0) + 1 };
+      Object.keys(changes).filter(field => changes[field] === undefined).forEach(field => delete updated[field]);
+      this.writeStoredSession(updated);
     });
+
+    if (this.currentSession?.id === sessionId) {
+      Object.assign(this.currentSession, changes);
+      Object.keys(changes).filter(field => changes[field] === undefined).forEach(field => delete this.currentSession[field]);
+    }
+    return updated;
+  }
+
+  /**
+   * A new session holding the first `count` conversations of another one,
+   * for trying a different model or prompt from that point. Tags carry over;
+   * the original is left untouched.
+   */
+  forkSession(sessionId, count = Infinity, name = null) {
+    const source = this.readSessionFile(sessionId);
+    if (!source) throw new Error(`Session not found: ${sessionId}`);
+    const conversations = source.conversations.slice(0, count);
+    // A compaction summary stands for the requests it replaced
+    const requests = conversations.reduce((sum, conv) => sum + (conv.metadata?.compacted?.requests ?? 1), 0);
+
+    const fork = {
+      id: crypto.randomBytes(8).toString('hex'),
+      version: SESSION_FORMAT_VERSION,
+      name: name || `${source.name} (fork @${conversations.length})`,
+      created: new Date().toISOString(),
+      conversations,
+      totalRequests: requests,
+      models: [...new Set(conversations.map(conv => conv.model).filter(Boolean))],
+      ...(source.tags?.length ? { tags: source.tags } : {}),
+      forkedFrom: { id: source.id, name: source.name, conversations: conversations.length, at: new Date().toISOString() }
+    };
+    if (source.contextSummary && source.contextSummary.throughIndex <= conversations.length) {
+      fork.contextSummary = source.contextSummary;
+    }
+    this.writeSessionFile(fork);
+    return fork;
+  }
+
+  // By id, then exact name, then id or name prefix
+  findSession(query) {
+    const sessions = this.listSessions();
+    const needle = query.toLowerCase();
+    return sessions.find(s => s.id === query) ||
+      sessions.find(s => s.name.toLowerCase() === needle) ||
+      sessions.find(s => s.id.startsWith(query) || s.name.toLowerCase().startsWith(needle));
   }
 
   addConversation(input, output, model, task, metadata = {}) {
@@ -88,14 +538,15 @@ class SessionManager {
 
     this.currentSession.conversations.push({
       timestamp: new Date().toISOString(),
-      input: input.substring(0, 500) + (input.length > 500 ? '...' : ''),
-      output: output.substring(0, 1000) + (output.length > 1000 ? '...' : ''),
+      input,
+      output,
       model,
       task,
       metadata
     });
 
     this.currentSession.totalRequests++;
+    this.unsavedRequests++;
     if (!this.currentSession.models.includes(model)) {
       this.currentSession.models.push(model);
     }
@@ -103,121 +554,1617 @@ class SessionManager {
     this.saveSession();
   }
 
-  getRecentContext(limit = 2) {
-    if (!this.currentSession || !this.currentSession.conversations.length) return '';
+  // Used when a chat turn is retried, so the retry replaces the original in the request count too
+  removeConversation(index) {
+    if (!this.currentSession) return null;
+    const [removed] = this.currentSession.conversations.splice(index, 1);
+    if (!removed) return null;
+    this.currentSession.totalRequests = Math.max(0, this.currentSession.totalRequests - 1);
+    // Negative when the removed request was already saved, so a merge subtracts it from the disk count
+    this.unsavedRequests--;
+    this.saveSession();
+    return removed;
+  }
+
+  // Earlier chat turns, oldest first, starting at `fromIndex`. Batch items,
+  // comparisons and multi-agent reports in the same session are not turns.
+  getRecentContext(limit = Infinity, fromIndex = 0) {
+    if (!this.currentSession || !this.currentSession.conversations.length) return [];
 
-    const recent = this.currentSession.conversations.slice(-limit);
-    return recent.map(conv => 
-      `Previous ${conv.task}: ${conv.input.substring(0, 100)}...`
-    ).join('\n');
+    return this.currentSession.conversations
+      .map((conv, index) => ({ ...conv, index }))
+      .slice(fromIndex)
+      .filter(conv => conv.input && conv.output && isChatTurn(conv))
+      .slice(-limit);
   }
 }
 
 // =====================
-// MODEL CONFIGURATIONS
+// SESSION SEARCH
 // =====================
-const MODELS = {
-  openai: {
-    name: 'OpenAI',
-    url: 'https://api.openai.com/v1/chat/completions',
-    key: process.env.OPENAI_API_KEY,
-    headers: (key) => ({
-      'Authorization': `Bearer ${key}`,
-      'Content-Type': 'application/json'
-    }),
-    format: (input, submodel = 'gpt-3.5-turbo') => ({
-      model: submodel,
-      messages: [{ role: 'user', content: input }],
-      temperature: 0.7
-    }),
-    extract: (res) => res.choices[0].message.content,
-    models: [
-      { id: 'gpt-3.5-turbo', desc: 'GPT-3.5 Turbo - Economic Choice 💰', cost: 'Low' },
-      { id: 'gpt-4o-mini', desc: 'GPT-4o Mini - Small & Efficient 💰', cost: 'Low' },
-      { id: 'gpt-4-turbo', desc: 'GPT-4 Turbo - Balanced Performance 💸', cost: 'Medium' },
-      { id: 'gpt-4o', desc: 'GPT-4o - Most Capable 💸', cost: 'High' }
-    ]
-  },
-  ollama: {
-    name: 'Ollama (Local)',
-    url: 'http://localhost:11434/api/generate',
-    headers: () => ({ 'Content-Type': 'application/json' }),
-    format: (input, submodel = 'gemma2:2b') => ({ 
-      model: submodel, 
-      prompt: input,
-      options: { temperature: 0.7 }
-    }),
-    extract: (res) => res.response,
-    models: [] // Will be populated dynamically
-  },
-  openrouter: {
-    name: 'OpenRouter',
-    url: 'https://openrouter.ai/api/v1/chat/completions',
-    key: process.env.OPENROUTER_API_KEY,
-    headers: (key) => ({
-      'Authorization': `Bearer ${key}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'http://localhost:3000',
-      'X-Title': 'Enhanced QA AI Agent CLI'
-    }),
-    format: (input, submodel = 'google/gemini-2.0-flash-001') => ({
-      model: submodel,
-      messages: [{ role: 'user', content: input }],
-      temperature: 0.7
-    }),
-    extract: (res) => res.choices[0].message.content,
-    models: [
-      { id: 'google/gemini-2.0-flash-001', desc: 'Gemini 2.0 Flash - Latest & Economic 💰', cost: 'Low' },
-      { id: 'google/gemini-pro', desc: 'Gemini Pro - Reliable & Affordable 💰', cost: 'Low' },
-      { id: 'google/gemini-1.5-flash', desc: 'Gemini 1.5 Flash - Fast & Cheap 💰', cost: 'Low' },
-      { id: 'openai/gpt-3.5-turbo', desc: 'GPT-3.5 Turbo - Fast & Economic 💰', cost: 'Low' },
-      { id: 'meta-llama/llama-3-8b-instruct', desc: 'Llama 3 8B - Open Source Budget 💰', cost: 'Low' },
-      { id: 'mistralai/mistral-7b-instruct', desc: 'Mistral 7B - European Budget Model 💰', cost: 'Low' },
-      { id: 'openai/gpt-4o-mini', desc: 'GPT-4o Mini - Small but Powerful 💰', cost: 'Medium' },
-      { id: 'openai/gpt-4o', desc: 'GPT-4o - Premium Quality 💸', cost: 'High' },
-      { id: 'meta-llama/llama-3-70b-instruct', desc: 'Llama 3 70B - Open Source Power 💸', cost: 'High' },
-      { id: 'custom', desc: 'Custom Model - Enter your own model ID 🎯', cost: 'Variable' }
-    ]
+// Keyword or regex search over the inputs and outputs of every saved session.
+// sessions/index/search/ keeps the text of each session's conversations in
+// one file per session, rewritten only when that session file changes.
+const SEARCH_INDEX_VERSION = 1;
+const SNIPPET_RADIUS = 60;
+
+// "2026-03-01" as an `until` date includes that whole day
+function parseSearchDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid date "${value}", use YYYY-MM-DD`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+// { model, task, since, until, tags } from CLI options or "name=value" pairs
+function parseSearchFilters({ model, task, since, until, tag, tags } = {}) {
+  const tagList = [tags, tag].flat().filter(Boolean).flatMap(value => String(value).split(','));
+  return {
+    model: model?.toLowerCase() || null,
+    task: task?.toLowerCase() || null,
+    since: parseSearchDate(since),
+    until: parseSearchDate(until, true),
+    tags: tagList.map(value => value.trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+// Quoted phrases stay together: 'payment "gateway timeout"' -> ['payment', 'gateway timeout']
+function parseSearchTerms(query) {
+  return [...query.matchAll(/"([^"]+)"|(\S+)/g)].map(match => (match[1] || match[2]).toLowerCase());
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [start, end] of every match of `pattern` (a global RegExp) in `text`
+function findMatches(text, pattern) {
+  const ranges = [];
+  for (const match of (text || '').matchAll(pattern)) {
+    if (match[0].length === 0) continue;
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// One line of context around the first match, matches marked with **
+function buildSnippet(text, ranges) {
+  const [firstStart] = ranges[0];
+  const start = Math.max(0, firstStart - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  let snippet = '';
+  let cursor = start;
+  ranges.filter(([from, to]) => from >= start && to <= end).forEach(([from, to]) => {
+    if (from < cursor) return;
+    snippet += `${text.slice(cursor, from)}**${text.slice(from, to)}**`;
+    cursor = to;
+  });
+  snippet += text.slice(cursor, end);
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+class SessionSearchIndex {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.indexDir = path.join(sessionManager.sessionsDir, 'index', 'search');
   }
-};
+
+  entryPath(id) {
+    return path.join(this.indexDir, `${id}.json`);
+  }
+
+  loadEntry(id) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.entryPath(id), 'utf8'));
+      if (entry.version === SEARCH_INDEX_VERSION) return entry;
+    } catch {
+      // Missing or unreadable entry, rebuild it
+    }
+    return null;
+  }
+
+  // Re-reads new and changed session files and drops the entries of deleted ones
+  refresh() {
+    const sessionsDir = this.sessionManager.sessionsDir;
+    const files = fs.readdirSync(sessionsDir).filter(f => f.endsWith('.json'));
+    const sessions = {};
+
+    files.forEach(f => {
+      const id = path.basename(f, '.json');
+      const mtimeMs = fs.statSync(path.join(sessionsDir, f)).mtimeMs;
+      const cached = this.loadEntry(id);
+      if (cached && cached.mtimeMs === mtimeMs) {
+        sessions[id] = cached;
+        return;
+      }
+
+      try {
+        const session = this.sessionManager.readSessionFile(id);
+        if (!session) return;
+        sessions[id] = {
+          version: SEARCH_INDEX_VERSION,
+          mtimeMs,
+          name: session.name,
+          tags: session.tags || [],
+          conversations: session.conversations.map((conv, convIndex) => ({
+            index: convIndex,
+            timestamp: conv.timestamp,
+            task: conv.task,
+            provider: conv.model,
+            model: conv.metadata?.answeredBy || (conv.metadata?.model ? `${conv.model}:${conv.metadata.model}` : conv.model),
+            input: conv.input,
+            output: conv.output
+          }))
+        };
+        fs.mkdirSync(this.indexDir, { recursive: true });
+        writeFileAtomic(this.entryPath(id), JSON.stringify(sessions[id]));
+      } catch (error) {
+        console.log(`⚠️  Skipping ${f} in search: ${error.message}`);
+      }
+    });
+
+    if (fs.existsSync(this.indexDir)) {
+      fs.readdirSync(this.indexDir)
+        .filter(f => f.endsWith('.json') && !sessions[path.basename(f, '.json')])
+        .forEach(f => fs.rmSync(path.join(this.indexDir, f), { force: true }));
+    }
+    return sessions;
+  }
+
+  /**
+   * Hits ranked by relevance, newest first on ties. Keyword search needs every
+   * term in the input or output; terms rarer across conversations weigh more
+   * and input matches count double. `regex` treats the query as a pattern.
+   */
+  search(query, { regex = false, filters = {}, limit = 20 } = {}) {
+    let patterns;
+    if (regex) {
+      patterns = [new RegExp(query, 'gi')];
+    } else {
+      patterns = parseSearchTerms(query).map(term => new RegExp(escapeRegExp(term), 'gi'));
+    }
+    if (patterns.length === 0) return [];
+
+    const candidates = [];
+    const documentFrequency = patterns.map(() => 0);
+    let scanned = 0;
+    Object.entries(this.refresh()).forEach(([sessionId, session]) => {
+      const sessionTags = session.tags.map(tag => tag.toLowerCase());
+      if (filters.tags?.some(tag => !sessionTags.includes(tag))) return;
+
+      session.conversations.forEach(conv => {
+        const when = new Date(conv.timestamp);
+        if (filters.model && !`${conv.model} ${conv.provider}`.toLowerCase().includes(filters.model)) return;
+        if (filters.task && !(conv.task || '').toLowerCase().includes(filters.task)) return;
+        if (filters.since && when < filters.since) return;
+        if (filters.until && when >= filters.until) return;
+
+        const matches = patterns.map(pattern => ({
+          input: findMatches(conv.input, pattern),
+          output: findMatches(conv.output, pattern)
+        }));
+        scanned++;
+        matches.forEach((m, i) => {
+          if (m.input.length + m.output.length > 0) documentFrequency[i]++;
+        });
+        if (matches.some(m => m.input.length + m.output.length === 0)) return;
+        candidates.push({ sessionId, session, conv, matches });
+      });
+    });
+
+    const hits = candidates.map(({ sessionId, session, conv, matches }) => {
+      const score = matches.reduce((sum, m, i) => {
+        const frequency = m.input.length * 2 + m.output.length;
+        const rarity = Math.log(1 + scanned / documentFrequency[i]);
+        return sum + (1 + Math.log(frequency)) * rarity;
+      }, 0);
+      const field = matches.some(m => m.input.length) ? 'input' : 'output';
+      const ranges = matches.flatMap(m => m[field]).sort((a, b) => a[0] - b[0]);
+      return {
+        sessionId,
+        sessionName: session.name,
+        tags: session.tags,
+        index: conv.index,
+        timestamp: conv.timestamp,
+        task: conv.task,
+        model: conv.model,
+        score: Math.round(score * 100) / 100,
+        field,
+        snippet: buildSnippet(conv[field], ranges)
+      };
+    });
+
+    return hits
+      .sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+}
+
+function formatSearchHit(hit, position) {
+  const date = new Date(hit.timestamp).toLocaleString();
+  return `${position}. ${hit.sessionName} #${hit.index + 1} · ${hit.task} · ${hit.model} · ${date}\n` +
+    `   ${hit.field === 'input' ? '🧑' : '🤖'} ${hit.snippet}`;
+}
 
 // =====================
-// EXPORT FORMATS
+// SESSION BUNDLES
 // =====================
-const EXPORT_FORMATS = {
-  txt: { 
-    extension: '.txt', 
-    name: 'Plain Text', 
-    icon: '📄',
-    converter: (content) => content 
-  },
-  md: { 
-    extension: '.md', 
-    name: 'Markdown', 
-    icon: '📝',
-    converter: (content) => content 
-  },
-  json: { 
-    extension: '.json', 
-    name: 'JSON', 
-    icon: '📊',
-    converter: (content) => JSON.stringify({ 
-      result: content, 
-      timestamp: new Date().toISOString(),
-      format: 'qa_ai_agent_output',
-      version: '3.0'
-    }, null, 2) 
-  },
-  html: { 
-    extension: '.html', 
-    name: 'HTML', 
-    icon: '🌐',
-    converter: (content) => {
-      if (showdown) {
-        const converter = new showdown.Converter({
-          tables: true,
-          strikethrough: true,
-          tasklists: true,
+// A bundle carries sessions between machines: the stored session files plus
+// every blob they reference, in one JSON file (gzipped when the name ends
+// in .gz). Blobs are checked against their hash on import.
+const BUNDLE_FORMAT = 'anyany-session-bundle';
+const BUNDLE_VERSION = 1;
+const CONFLICT_STRATEGIES = ['auto', 'skip', 'overwrite', 'copy'];
+
+function collectBlobRefs(value, refs = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectBlobRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$blob === 'string') refs.add(value.$blob);
+    else Object.values(value).forEach(item => collectBlobRefs(item, refs));
+  }
+  return refs;
+}
+
+function createSessionBundle(sessionManager, sessionIds) {
+  const sessions = [];
+  const blobs = {};
+  sessionIds.forEach(id => {
+    // Reading first upgrades older files so the bundle only holds the current format
+    if (!sessionManager.readSessionFile(id)) throw new Error(`Session not found: ${id}`);
+    const stored = JSON.parse(fs.readFileSync(sessionManager.sessionPath(id), 'utf8'));
+    collectBlobRefs(stored).forEach(hash => {
+      blobs[hash] = fs.readFileSync(path.join(sessionManager.blobsDir, `${hash}.txt`), 'utf8');
+    });
+    sessions.push(stored);
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    sessionFormat: SESSION_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions,
+    blobs
+  };
+}
+
+function writeBundleFile(filePath, bundle) {
+  const json = JSON.stringify(bundle, null, 2);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(filePath, filePath.endsWith('.gz') ? zlib.gzipSync(json) : json);
+  return fs.statSync(filePath).size;
+}
+
+function readBundleFile(filePath) {
+  return parseSessionBundle(fs.readFileSync(filePath), filePath);
+}
+
+function parseSessionBundle(raw, source) {
+  // gzip magic bytes, whatever the file is called
+  const json = raw[0] === 0x1f && raw[1] === 0x8b ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+  let bundle;
+  try {
+    bundle = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`${source} is not a session bundle: ${error.message}`);
+  }
+  if (bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.sessions)) {
+    throw new Error(`${source} is not a session bundle`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this CLI supports (${BUNDLE_VERSION}), please update`);
+  }
+  return bundle;
+}
+
+// "<name>_<id prefix>.anyany.json", so exported files can be told apart
+function defaultBundleName(sessions) {
+  const label = sessions.length === 1
+    ? `${sessions[0].name.replace(/[^a-zA-Z0-9_-]+/g, '_')}_${sessions[0].id.slice(0, 6)}`
+    : `sessions_${sessions.length}_${new Date().toISOString().split('T')[0]}`;
+  return `${label}.anyany.json`;
+}
+
+// Same conversations means the session was imported before
+function sameSessionContent(a, b) {
+  const fingerprint = session => JSON.stringify((session.conversations || []).map(conv => [conv.timestamp, conv.input, conv.output]));
+  return fingerprint(a) === fingerprint(b);
+}
+
+/**
+ * Writes the bundle's blobs and sessions. When a session id already exists,
+ * `onConflict` decides: "skip", "overwrite", "copy" (import under a new id)
+ * or "auto" (skip identical content, copy otherwise). It may also be a
+ * function (session, existing) => strategy for asking interactively.
+ * Bundles come from other people: a session whose id is not a plain file
+ * name is imported as a copy, and a bundle that references content it does
+ * not carry (and that is not here already) is rejected before anything is
+ * written.
+ */
+async function importSessionBundle(sessionManager, bundle, { onConflict = 'auto' } = {}) {
+  const blobs = bundle.blobs || {};
+  bundle.sessions.forEach((stored, index) => {
+    try {
+      validateSession(stored);
+    } catch (error) {
+      throw new Error(`Session ${index + 1} in the bundle is invalid: ${error.message}`);
+    }
+    const missing = [...collectBlobRefs(stored)].filter(hash =>
+      !/^[0-9a-f]{64}$/.test(hash) || (!(hash in blobs) && !fs.existsSync(path.join(sessionManager.blobsDir, `${hash}.txt`)))
+    );
+    if (missing.length) {
+      throw new Error(`Session "${stored.name || stored.id}" references ${missing.length} content file(s) the bundle does not include (${missing[0].slice(0, 12)}…), the bundle is incomplete`);
+    }
+  });
+
+  Object.entries(blobs).forEach(([hash, text]) => {
+    if (crypto.createHash('sha256').update(text).digest('hex') !== hash) {
+      throw new Error(`Bundle content ${hash.slice(0, 12)} does not match its hash, the file is damaged`);
+    }
+    sessionManager.writeBlob(text);
+  });
+
+  const summary = { imported: [], skipped: [], overwritten: [], copied: [] };
+  for (const stored of bundle.sessions) {
+    const session = { ...stored };
+    migrateSession(session);
+    const validId = isValidSessionId(session.id);
+    const existing = validId ? sessionManager.readSessionFile(session.id) : null;
+
+    let strategy = 'import';
+    if (!validId) {
+      strategy = 'copy';
+    } else if (existing) {
+      strategy = typeof onConflict === 'function' ? await onConflict(session, existing) : onConflict;
+      if (strategy === 'auto') strategy = sameSessionContent(sessionManager.internalize(session), existing) ? 'skip' : 'copy';
+    }
+
+    if (strategy === 'skip') {
+      summary.skipped.push(session);
+      continue;
+    }
+    if (strategy === 'copy') {
+      session.importedFrom = { id: session.id, at: new Date().toISOString() };
+      session.id = crypto.randomBytes(8).toString('hex');
+      session.name = `${session.name} (imported)`;
+    }
+    sessionManager.writeSessionFile(session);
+    summary[{ import: 'imported', overwrite: 'overwritten', copy: 'copied' }[strategy]].push(session);
+    if (strategy === 'overwrite' && sessionManager.currentSession?.id === session.id) {
+      sessionManager.loadSession(session.id);
+    }
+  }
+  return summary;
+}
+
+function formatImportSummary({ imported, skipped, overwritten, copied }) {
+  const parts = [
+    `${imported.length} imported`,
+    overwritten.length ? `${overwritten.length} overwritten` : null,
+    copied.length ? `${copied.length} imported as copies (id already in use or invalid)` : null,
+    skipped.length ? `${skipped.length} skipped` : null
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+/**
+ * Combines two sessions into a new one with a single timeline ordered by
+ * timestamp. Conversations present in both are kept once; the originals
+ * are left untouched.
+ */
+function mergeSessions(sessionManager, firstId, secondId, name = null) {
+  const first = sessionManager.readSessionFile(firstId);
+  const second = sessionManager.readSessionFile(secondId);
+  if (!first) throw new Error(`Session not found: ${firstId}`);
+  if (!second) throw new Error(`Session not found: ${secondId}`);
+  if (first.id === second.id) throw new Error('Cannot merge a session with itself');
+
+  const seen = new Set();
+  const conversations = [...first.conversations, ...second.conversations]
+    .filter(conv => {
+      const key = JSON.stringify([conv.timestamp, conv.input, conv.output]);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const merged = {
+    id: crypto.randomBytes(8).toString('hex'),
+    version: SESSION_FORMAT_VERSION,
+    name: name || `${first.name} + ${second.name}`,
+    created: new Date().toISOString(),
+    conversations,
+    // Counted from the kept conversations, so shared ones count once
+    totalRequests: conversations.reduce((sum, conv) => sum + (conv.metadata?.compacted?.requests ?? 1), 0),
+    models: [...new Set([...(first.models || []), ...(second.models || [])])],
+    mergedFrom: [first.id, second.id]
+  };
+  sessionManager.writeSessionFile(merged);
+  return merged;
+}
+
+// =====================
+// SESSION REPAIR
+// =====================
+// Recovers what it can from damaged session files: the header fields and
+// every conversation that is still complete JSON. Quarantined originals are
+// kept with a ".repaired" suffix.
+
+// End index of the JSON object or array starting at `start`, or -1 if it is cut off
+function scanJsonValue(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+function salvageStringField(text, name) {
+  const match = text.match(new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+  if (!match) return undefined;
+  try {
+    return JSON.parse(`"${match[1]}"`);
+  } catch {
+    return match[1];
+  }
+}
+
+/**
+ * A best-effort session from damaged file content, or null when nothing
+ * usable is left. Header fields are only read before the conversations so
+ * values inside a conversation are not mistaken for them.
+ */
+function salvageSession(text, fallbackId) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Cut off or hand-edited, recover piece by piece below
+  }
+
+  let header = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  let conversations = Array.isArray(header.conversations) ? header.conversations : [];
+  let lost = false;
+
+  if (!parsed) {
+    const listMatch = text.match(/"conversations"\s*:\s*\[/);
+    const headerText = listMatch ? text.slice(0, listMatch.index) : text;
+    header = {
+      id: salvageStringField(headerText, 'id'),
+      name: salvageStringField(headerText, 'name'),
+      created: salvageStringField(headerText, 'created')
+    };
+    const totalMatch = text.match(/"totalRequests"\s*:\s*(\d+)/);
+    if (totalMatch) header.totalRequests = Number(totalMatch[1]);
+
+    if (listMatch) {
+      let position = listMatch.index + listMatch[0].length;
+      while (position < text.length) {
+        while (/[\s,]/.test(text[position] || '')) position++;
+        if (text[position] !== '{') break;
+        const end = scanJsonValue(text, position);
+        if (end === -1) {
+          lost = true;
+          break;
+        }
+        try {
+          conversations.push(JSON.parse(text.slice(position, end)));
+        } catch {
+          lost = true;
+          break;
+        }
+        position = end;
+      }
+    }
+  }
+
+  conversations = conversations.filter(conv => conv && typeof conv === 'object' && !Array.isArray(conv));
+  if (!header.id && !header.name && conversations.length === 0) return null;
+
+  return {
+    session: {
+      ...header,
+      id: isValidSessionId(header.id) ? header.id : fallbackId,
+      name: header.name || `recovered_${fallbackId}`,
+      created: header.created || conversations[0]?.timestamp || new Date().toISOString(),
+      conversations,
+      totalRequests: Math.max(Number(header.totalRequests) || 0, conversations.length),
+      models: Array.isArray(header.models) ? header.models : [...new Set(conversations.map(conv => conv.model).filter(Boolean))],
+      repairedAt: new Date().toISOString()
+    },
+    recovered: conversations.length,
+    lost
+  };
+}
+
+/**
+ * Repairs one damaged file (quarantined or given by path) and saves the
+ * result as a session. An id that is already taken gets a new one.
+ */
+function repairSessionFile(sessionManager, filePath) {
+  const fallbackId = path.basename(filePath).split('.')[0].replace(/[^\w-]/g, '') || crypto.randomBytes(8).toString('hex');
+  const result = salvageSession(fs.readFileSync(filePath, 'utf8'), fallbackId);
+  if (!result) return { file: filePath, error: 'nothing recoverable' };
+
+  const { session } = result;
+  const target = sessionManager.sessionPath(session.id);
+  if (fs.existsSync(target) && path.resolve(target) !== path.resolve(filePath)) {
+    session.id = crypto.randomBytes(8).toString('hex');
+    session.name = `${session.name} (recovered)`;
+  }
+  migrateSession(session);
+  sessionManager.writeSessionFile(session);
+
+  if (path.dirname(path.resolve(filePath)) === path.resolve(sessionManager.quarantineDir)) {
+    fs.renameSync(filePath, `${filePath}.repaired`);
+  }
+  return { file: filePath, session, recovered: result.recovered, lost: result.lost };
+}
+
+// Quarantines unreadable session files, repairs everything in quarantine and removes leftover temp files
+function repairSessions(sessionManager) {
+  sessionManager.listSessions();
+
+  const staleTemp = fs.readdirSync(sessionManager.sessionsDir)
+    .filter(f => f.endsWith('.tmp'))
+    .map(f => path.join(sessionManager.sessionsDir, f))
+    .filter(file => Date.now() - fs.statSync(file).mtimeMs > STALE_LOCK_MS);
+  staleTemp.forEach(file => fs.rmSync(file, { force: true }));
+
+  const quarantined = fs.existsSync(sessionManager.quarantineDir)
+    ? fs.readdirSync(sessionManager.quarantineDir).filter(f => !f.endsWith('.repaired'))
+    : [];
+  const results = quarantined.map(f => {
+    try {
+      return repairSessionFile(sessionManager, path.join(sessionManager.quarantineDir, f));
+    } catch (error) {
+      return { file: f, error: error.message };
+    }
+  });
+  return { results, removedTemp: staleTemp.length };
+}
+
+function formatRepairResult(result) {
+  if (result.error) return `❌ ${path.basename(result.file)}: ${result.error}`;
+  const note = result.lost ? ', the rest was cut off' : '';
+  return `✅ ${path.basename(result.file)} → "${result.session.name}" (${result.session.id}): ${result.recovered} conversations recovered${note}`;
+}
+
+// =====================
+// SESSION RETENTION
+// =====================
+// Limits from `retention` in the config file, e.g.
+// { "maxAgeDays": 90, "maxCount": 200, "maxSizeMB": 500, "archive": true,
+//   "compactAfter": 100, "keepRecent": 20, "summaryModel": "ollama:llama3.2", "auto": true }
+// Sessions past a limit are written to an archive bundle under
+// sessions/archive/ and removed (deleted outright when `archive` is false).
+// The current session and sessions tagged "keep" are never removed.
+// Compaction folds all but the newest `keepRecent` conversations into one
+// model-written summary; totalRequests, models, the task breakdown and
+// usage totals stay as they were.
+const DEFAULT_KEEP_RECENT = 10;
+const KEEP_TAG = 'keep';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionSettings() {
+  return { archive: true, keepRecent: DEFAULT_KEEP_RECENT, ...CONFIG.retention };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Every session with its tags, models, last activity and stored size: the
+ * file plus the blobs it references (a blob shared by two sessions counts
+ * for both).
+ */
+function sessionInventory(sessionManager) {
+  return sessionManager.listSessions().flatMap(info => {
+    const filePath = sessionManager.sessionPath(info.id);
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return []; // Removed since it was listed
+    }
+    const blobBytes = [...collectBlobRefs(stored)].reduce((sum, hash) => {
+      const blobPath = path.join(sessionManager.blobsDir, `${hash}.txt`);
+      return sum + (fs.existsSync(blobPath) ? fs.statSync(blobPath).size : 0);
+    }, 0);
+    return [{
+      ...info,
+      tags: stored.tags || [],
+      models: stored.models || [],
+      lastActivity: stored.conversations.reduce((latest, conv) => (conv.timestamp > latest ? conv.timestamp : latest), stored.created || ''),
+      size: fs.statSync(filePath).size + blobBytes
+    }];
+  });
+}
+
+// "30" or "30d" -> 30 days before now; anything else is read as a date
+function parseOlderThan(value) {
+  if (!value) return null;
+  const days = String(value).trim().match(/^(\d+(?:\.\d+)?)d?$/);
+  return days ? new Date(Date.now() - Number(days[1]) * DAY_MS) : parseSearchDate(value);
+}
+
+// { olderThan, name, tag, model, empty } from CLI options or "name=value" pairs
+function parseRetentionFilter({ olderThan, name, tag, model, empty } = {}) {
+  return {
+    before: parseOlderThan(olderThan),
+    name: name?.toLowerCase() || null,
+    tag: tag?.toLowerCase() || null,
+    model: model?.toLowerCase() || null,
+    empty: empty === true || ['yes', 'true', '1'].includes(String(empty).toLowerCase())
+  };
+}
+
+function hasRetentionFilter(filter) {
+  return Boolean(filter.before || filter.name || filter.tag || filter.model || filter.empty);
+}
+
+// All given filters must match; age is counted from the last conversation
+function matchesRetentionFilter(info, filter) {
+  if (filter.before && !(new Date(info.lastActivity) < filter.before)) return false;
+  if (filter.name && !info.name.toLowerCase().includes(filter.name)) return false;
+  if (filter.tag && !info.tags.some(tag => tag.toLowerCase() === filter.tag)) return false;
+  if (filter.model && !info.models.some(model => model.toLowerCase().includes(filter.model))) return false;
+  if (filter.empty && info.conversations > 0) return false;
+  return true;
+}
+
+function isProtectedSession(sessionManager, info) {
+  return info.id === sessionManager.currentSession?.id || info.tags.some(tag => tag.toLowerCase() === KEEP_TAG);
+}
+
+// Sessions matching `filter`, newest first, without protected ones
+function selectSessionsByFilter(sessionManager, filter) {
+  return sessionInventory(sessionManager)
+    .filter(info => !isProtectedSession(sessionManager, info) && matchesRetentionFilter(info, filter))
+    .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+}
+
+/**
+ * Sessions past the age, count or size limits, each with the reasons it was
+ * picked. Newer sessions are kept first; protected sessions always count as
+ * kept.
+ */
+function planRetention(sessionManager, policy = retentionSettings()) {
+  const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * DAY_MS : null;
+  const maxBytes = policy.maxSizeMB ? policy.maxSizeMB * 1024 * 1024 : null;
+  let keptCount = 0;
+  let keptBytes = 0;
+
+  return sessionInventory(sessionManager)
+    .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity))
+    .flatMap(info => {
+      const reasons = [];
+      if (!isProtectedSession(sessionManager, info)) {
+        if (cutoff && new Date(info.lastActivity) < cutoff) reasons.push(`older than ${policy.maxAgeDays} days`);
+        if (policy.maxCount && keptCount >= policy.maxCount) reasons.push(`beyond the newest ${policy.maxCount}`);
+        if (maxBytes && keptBytes + info.size > maxBytes) reasons.push(`over ${policy.maxSizeMB} MB in total`);
+      }
+      if (reasons.length > 0) return [{ ...info, reasons }];
+      keptCount++;
+      keptBytes += info.size;
+      return [];
+    });
+}
+
+function archivePath(sessionManager, label) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(sessionManager.archiveDir, `${label}_${stamp}.anyany.json.gz`);
+}
+
+/**
+ * Removes sessions, first writing them to one archive bundle unless
+ * `archive` is false, then deletes blobs nothing refers to any more.
+ */
+function removeSessions(sessionManager, ids, { archive = true } = {}) {
+  const result = { removed: 0, archivedTo: null, freedBytes: 0, blobs: 0 };
+  if (ids.length === 0) return result;
+
+  if (archive) {
+    result.archivedTo = archivePath(sessionManager, 'archive');
+    writeBundleFile(result.archivedTo, createSessionBundle(sessionManager, ids));
+  }
+
+  ids.forEach(id => {
+    const filePath = sessionManager.sessionPath(id);
+    withFileLock(filePath, () => {
+      if (!fs.existsSync(filePath)) return;
+      result.freedBytes += fs.statSync(filePath).size;
+      fs.rmSync(filePath);
+      result.removed++;
+    });
+    if (sessionManager.currentSession?.id === id) sessionManager.currentSession = null;
+  });
+
+  const unused = removeUnusedBlobs(sessionManager);
+  result.blobs = unused.removed;
+  result.freedBytes += unused.freedBytes;
+  return result;
+}
+
+/**
+ * Deletes blobs that no session file (quarantined ones included) refers to.
+ * Recently written or reused blobs are left alone, since the session file
+ * that refers to them may not be saved yet.
+ */
+function removeUnusedBlobs(sessionManager) {
+  const result = { removed: 0, freedBytes: 0 };
+  if (!fs.existsSync(sessionManager.blobsDir)) return result;
+
+  const used = new Set();
+  [sessionManager.sessionsDir, sessionManager.quarantineDir].filter(dir => fs.existsSync(dir)).forEach(dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isFile()).forEach(entry => {
+      const text = fs.readFileSync(path.join(dir, entry.name), 'utf8');
+      for (const match of text.matchAll(/"\$blob"\s*:\s*"([0-9a-f]{64})"/g)) used.add(match[1]);
+    });
+  });
+
+  fs.readdirSync(sessionManager.blobsDir).filter(f => f.endsWith('.txt')).forEach(f => {
+    const filePath = path.join(sessionManager.blobsDir, f);
+    const stat = fs.statSync(filePath);
+    if (used.has(path.basename(f, '.txt')) || Date.now() - stat.mtimeMs < STALE_LOCK_MS) return;
+    fs.rmSync(filePath, { force: true });
+    result.removed++;
+    result.freedBytes += stat.size;
+  });
+  return result;
+}
+
+// Identifies a conversation folded into a compaction summary
+function compactedKey(conv) {
+  return crypto.createHash('sha256').update(conversationKey(conv)).digest('hex').slice(0, 16);
+}
+
+function compactionModelRef(session) {
+  const configured = CONFIG.retention?.summaryModel || CONFIG.chat?.summaryModel;
+  const ref = configured ? parseModelRef(configured) : lastModelRef(session);
+  if (!ref?.model || !MODELS[ref.provider]) {
+    throw new Error('No model to write the summary, set retention.summaryModel in the config file');
+  }
+  return ref;
+}
+
+// Summarizes in chunks that fit the model's context, each building on the summary so far
+async function summarizeConversations(conversations, ref) {
+  const budget = Math.max(1024, getContextBudget(ref.provider, ref.model) - 1600);
+  let summary;
+  let pending = conversations.filter(conv => conv.input || conv.output)
+    .map(conv => ({ input: String(conv.input ?? ''), output: String(conv.output ?? '') }));
+
+  while (pending.length > 0) {
+    const room = budget - estimateTokens(summary);
+    let used = 0;
+    let count = 0;
+    while (count < pending.length && (count === 0 || used + turnTokens(pending[count]) <= room)) {
+      used += turnTokens(pending[count]);
+      count++;
+    }
+    summary = await summarizeTurns(ref.provider, ref.model, pending.slice(0, count), summary);
+    pending = pending.slice(count);
+  }
+  return summary || '';
+}
+
+/**
+ * Replaces all but the newest `keepRecent` conversations of a session with
+ * one summary conversation, archiving the session first unless `archive` is
+ * false. Gives null when there is too little to compact; with `dryRun` only
+ * reports how many conversations would be folded.
+ */
+async function compactSession(sessionManager, sessionId, { keepRecent, archive, dryRun = false } = {}) {
+  const settings = retentionSettings();
+  keepRecent = keepRecent ?? settings.keepRecent;
+  archive = archive ?? settings.archive;
+
+  const session = sessionManager.readSessionFile(sessionId);
+  if (!session) throw new Error(`Session not found: ${sessionId}`);
+  const older = session.conversations.slice(0, Math.max(0, session.conversations.length - keepRecent));
+  if (older.length < 2) return null;
+  if (dryRun) return { session, compacted: older.length, archivedTo: null };
+
+  const ref = compactionModelRef(session);
+  console.log(`🗜️  Summarizing ${older.length} conversations of "${session.name}" with ${formatModelRef(ref)}...`);
+  const text = await summarizeConversations(older, ref);
+
+  const archivedTo = archive ? archivePath(sessionManager, `compacted_${session.id}`) : null;
+  if (archivedTo) writeBundleFile(archivedTo, createSessionBundle(sessionManager, [session.id]));
+
+  // Totals of the folded conversations, so statistics and budgets do not change
+  const folded = sessionStatistics({ conversations: older });
+  const record = {
+    timestamp: older[older.length - 1].timestamp,
+    input: `Summary of ${older.length} earlier conversations (${formatTimestamp(older[0].timestamp)} – ${formatTimestamp(older[older.length - 1].timestamp)})`,
+    output: text,
+    model: ref.provider,
+    task: 'Compacted Summary',
+    metadata: {
+      model: ref.model,
+      answeredBy: formatModelRef(ref),
+      usage: { promptTokens: folded.usage.promptTokens, completionTokens: folded.usage.completionTokens, totalTokens: folded.usage.totalTokens },
+      cost: folded.usage.cost,
+      compacted: {
+        conversations: older.length,
+        // Requests behind the folded conversations, earlier summaries included
+        requests: older.reduce((sum, conv) => sum + (conv.metadata?.compacted?.requests ?? 1), 0),
+        from: older[0].timestamp,
+        to: older[older.length - 1].timestamp,
+        tasks: folded.tasks,
+        modelUsage: folded.modelUsage,
+        // Lets another process holding the old conversations drop them when it saves
+        keys: older.flatMap(conv => [compactedKey(conv), ...(conv.metadata?.compacted?.keys || [])]),
+        archivedTo
+      }
+    }
+  };
+
+  // Re-read under the lock so conversations added meanwhile are kept
+  const filePath = sessionManager.sessionPath(session.id);
+  let compacted;
+  withFileLock(filePath, () => {
+    const current = sessionManager.internalize(validateSession(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+    const foldedKeys = new Set(older.map(conversationKey));
+    compacted = {
+      ...current,
+      conversations: [record, ...current.conversations.filter(conv => !foldedKeys.has(conversationKey(conv)))],
+      compactions: [...(current.compactions || []), { at: new Date().toISOString(), conversations: older.length, model: formatModelRef(ref), archivedTo }],
+      revision: (current.revision || 0) + 1
+    };
+    delete compacted.contextSummary;
+    sessionManager.writeStoredSession(compacted);
+  });
+
+  if (sessionManager.currentSession?.id === session.id) {
+    sessionManager.currentSession = compacted;
+    sessionManager.unsavedRequests = 0;
+  }
+  return { session: compacted, compacted: older.length, archivedTo };
+}
+
+/**
+ * Applies the configured limits: removes sessions past them and compacts
+ * sessions with more than `compactAfter` conversations. With `dryRun`
+ * nothing changes and the report lists what would.
+ */
+async function applyRetention(sessionManager, { dryRun = false, policy = retentionSettings() } = {}) {
+  const expired = planRetention(sessionManager, policy);
+  const removal = dryRun ? null : removeSessions(sessionManager, expired.map(info => info.id), { archive: policy.archive });
+
+  const compactions = [];
+  if (policy.compactAfter) {
+    const expiredIds = new Set(expired.map(info => info.id));
+    const candidates = sessionManager.listSessions()
+      .filter(info => !expiredIds.has(info.id) && info.conversations > policy.compactAfter);
+    for (const info of candidates) {
+      try {
+        const result = await compactSession(sessionManager, info.id, { keepRecent: policy.keepRecent, archive: policy.archive, dryRun });
+        if (result) compactions.push(result);
+      } catch (error) {
+        compactions.push({ session: info, error: error.message });
+      }
+    }
+  }
+  return { expired, removal, compactions };
+}
+
+function formatRetentionCandidate(info) {
+  const reasons = info.reasons ? `, ${info.reasons.join(', ')}` : '';
+  return `${info.id}  ${info.name}  (${info.conversations} conversations, ${formatBytes(info.size)}, last used ${formatTimestamp(info.lastActivity)}${reasons})`;
+}
+
+function formatRemoval({ removed, archivedTo, freedBytes, blobs }) {
+  const archived = archivedTo ? `, archived to ${archivedTo}` : '';
+  const blobNote = blobs ? ` and ${blobs} unused content files` : '';
+  return `Removed ${removed} sessions${blobNote}, freed ${formatBytes(freedBytes)}${archived}`;
+}
+
+function formatCompaction(result, dryRun = false) {
+  if (result.error) return `❌ ${result.session.name}: ${result.error}`;
+  const verb = dryRun ? 'would fold' : 'folded';
+  return `🗜️  ${result.session.name} (${result.session.id}): ${verb} ${result.compacted} conversations into a summary`;
+}
+
+function printRetentionReport({ expired, removal, compactions }, dryRun) {
+  if (expired.length === 0 && compactions.length === 0) {
+    console.log('✅ All sessions are within the retention limits');
+    return;
+  }
+  if (expired.length > 0) {
+    console.log(`\n${dryRun ? '🔍 Would remove' : '🧹 Removed'} ${expired.length} sessions:`);
+    expired.forEach(info => console.log(`  ${formatRetentionCandidate(info)}`));
+  }
+  if (removal) console.log(`✅ ${formatRemoval(removal)}`);
+  compactions.forEach(result => console.log(formatCompaction(result, dryRun)));
+}
+
+// =====================
+// MODEL CONFIGURATIONS
+// =====================
+// `price` is per million prompt (input) / completion (output) tokens in the
+// configured currency, USD by default. A provider-level `price` applies to
+// all of its models. Override or add prices with `prices` in the config file.
+// `contextWindow` (tokens, per model or provider) bounds chat history.
+const MODELS = {
+  openai: {
+    name: 'OpenAI',
+    type: 'openai-chat',
+    url: 'https://api.openai.com/v1/chat/completions',
+    key: process.env.OPENAI_API_KEY,
+    defaultModel: 'gpt-3.5-turbo',
+    streamUsage: true,
+    contextWindow: 128000,
+    models: [
+      { id: 'gpt-3.5-turbo', desc: 'GPT-3.5 Turbo - Economic Choice 💰', cost: 'Low', price: { input: 0.5, output: 1.5 }, contextWindow: 16385 },
+      { id: 'gpt-4o-mini', desc: 'GPT-4o Mini - Small & Efficient 💰', cost: 'Low', price: { input: 0.15, output: 0.6 } },
+      { id: 'gpt-4-turbo', desc: 'GPT-4 Turbo - Balanced Performance 💸', cost: 'Medium', price: { input: 10, output: 30 } },
+      { id: 'gpt-4o', desc: 'GPT-4o - Most Capable 💸', cost: 'High', price: { input: 2.5, output: 10 } }
+    ]
+  },
+  ollama: {
+    name: 'Ollama (Local)',
+    type: 'ollama',
+    host: normalizeBaseUrl(process.env.OLLAMA_HOST || 'http://localhost:11434'),
+    url: `${normalizeBaseUrl(process.env.OLLAMA_HOST || 'http://localhost:11434')}/api/chat`,
+    requiresKey: false,
+    price: { input: 0, output: 0 },
+    // Ollama's default num_ctx; larger contexts are silently truncated
+    contextWindow: 4096,
+    defaultModel: 'gemma2:2b',
+    models: [] // Will be populated dynamically
+  },
+  openrouter: {
+    name: 'OpenRouter',
+    type: 'openai-chat',
+    url: 'https://openrouter.ai/api/v1/chat/completions',
+    key: process.env.OPENROUTER_API_KEY,
+    defaultModel: 'google/gemini-2.0-flash-001',
+    extraHeaders: {
+      'HTTP-Referer': 'http://localhost:3000',
+      'X-Title': 'Enhanced QA AI Agent CLI'
+    },
+    extraBody: { usage: { include: true } },
+    contextWindow: 32000,
+    models: [
+      { id: 'google/gemini-2.0-flash-001', desc: 'Gemini 2.0 Flash - Latest & Economic 💰', cost: 'Low', price: { input: 0.1, output: 0.4 } },
+      { id: 'google/gemini-pro', desc: 'Gemini Pro - Reliable & Affordable 💰', cost: 'Low', price: { input: 0.5, output: 1.5 } },
+      { id: 'google/gemini-1.5-flash', desc: 'Gemini 1.5 Flash - Fast & Cheap 💰', cost: 'Low', price: { input: 0.075, output: 0.3 } },
+      { id: 'openai/gpt-3.5-turbo', desc: 'GPT-3.5 Turbo - Fast & Economic 💰', cost: 'Low', price: { input: 0.5, output: 1.5 } },
+      { id: 'meta-llama/llama-3-8b-instruct', desc: 'Llama 3 8B - Open Source Budget 💰', cost: 'Low', price: { input: 0.03, output: 0.06 } },
+      { id: 'mistralai/mistral-7b-instruct', desc: 'Mistral 7B - European Budget Model 💰', cost: 'Low', price: { input: 0.03, output: 0.055 } },
+      { id: 'openai/gpt-4o-mini', desc: 'GPT-4o Mini - Small but Powerful 💰', cost: 'Medium', price: { input: 0.15, output: 0.6 } },
+      { id: 'openai/gpt-4o', desc: 'GPT-4o - Premium Quality 💸', cost: 'High', price: { input: 2.5, output: 10 } },
+      { id: 'meta-llama/llama-3-70b-instruct', desc: 'Llama 3 70B - Open Source Power 💸', cost: 'High', price: { input: 0.3, output: 0.4 } },
+      { id: 'custom', desc: 'Custom Model - Enter your own model ID 🎯', cost: 'Variable' }
+    ]
+  },
+  anthropic: {
+    name: 'Anthropic',
+    type: 'anthropic-messages',
+    url: 'https://api.anthropic.com/v1/messages',
+    key: process.env.ANTHROPIC_API_KEY,
+    apiVersion: '2023-06-01',
+    contextWindow: 200000,
+    defaultModel: 'claude-3-5-haiku-latest',
+    models: [
+      { id: 'claude-3-5-haiku-latest', desc: 'Claude 3.5 Haiku - Fast & Economic 💰', cost: 'Low', price: { input: 0.8, output: 4 } },
+      { id: 'claude-sonnet-4-20250514', desc: 'Claude Sonnet 4 - Balanced Code Review 💸', cost: 'Medium', price: { input: 3, output: 15 } },
+      { id: 'claude-3-7-sonnet-latest', desc: 'Claude 3.7 Sonnet - Extended Reasoning 💸', cost: 'Medium', price: { input: 3, output: 15 } },
+      { id: 'claude-opus-4-20250514', desc: 'Claude Opus 4 - Most Capable 💸', cost: 'High', price: { input: 15, output: 75 } }
+    ]
+  },
+  mock: {
+    name: 'Mock (Replay)',
+    type: 'replay',
+    requiresKey: false,
+    // Only offered in menus once there are fixtures to replay
+    isAvailable: () => getReplaySettings().onMiss === 'echo' || loadFixtures().length > 0,
+    price: { input: 0, output: 0 },
+    defaultModel: 'replay',
+    models: [
+      { id: 'replay', desc: 'Replay - Any recorded fixture 🧪', cost: 'Free' }
+    ]
+  }
+};
+
+// =====================
+// PROVIDER ADAPTERS
+// =====================
+// Each MODELS entry names an adapter through `type`. The adapter owns
+// everything provider specific: building the request, parsing full and
+// streamed responses, extracting token usage and reading error payloads.
+// Requests carry `system` and generation `params` (see GENERATION PARAMETERS)
+// which each adapter maps to its provider's field names.
+const PROVIDER_ADAPTERS = {
+  'openai-chat': {
+    streamFormat: 'sse',
+    buildRequest: (config, { input, model, system, history, params = {}, stream }) => ({
+      url: config.url,
+      headers: {
+        // Self-hosted OpenAI-compatible servers often run without a key
+        ...(config.key ? { 'Authorization': `Bearer ${config.key}` } : {}),
+        'Content-Type': 'application/json',
+        ...config.extraHeaders
+      },
+      body: {
+        model,
+        messages: chatMessages(system, input, history),
+        ...withoutUndefined({
+          temperature: params.temperature,
+          max_tokens: params.maxTokens,
+          top_p: params.topP,
+          seed: params.seed,
+          stop: params.stop
+        }),
+        stream,
+        ...(stream && config.streamUsage ? { stream_options: { include_usage: true } } : {}),
+        ...config.extraBody
+      }
+    }),
+    parseResponse: (json) => ({
+      text: json.choices?.[0]?.message?.content,
+      usage: normalizeOpenAIUsage(json.usage)
+    }),
+    parseStreamEvent: (event) => ({
+      text: event.choices?.[0]?.delta?.content,
+      usage: normalizeOpenAIUsage(event.usage),
+      error: event.error?.message
+    }),
+    parseError: (json) => json?.error?.message
+  },
+  // /api/chat, so system prompts go in as a proper system message
+  ollama: {
+    streamFormat: 'ndjson',
+    buildRequest: (config, { input, model, system, history, params = {}, stream }) => ({
+      url: config.url,
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        model,
+        messages: chatMessages(system, input, history),
+        stream,
+        options: withoutUndefined({
+          temperature: params.temperature,
+          num_predict: params.maxTokens,
+          top_p: params.topP,
+          seed: params.seed,
+          stop: params.stop
+        })
+      }
+    }),
+    parseResponse: (json) => ({
+      text: json.message?.content,
+      usage: normalizeOllamaUsage(json)
+    }),
+    parseStreamEvent: (event) => ({
+      text: event.message?.content,
+      usage: event.done ? normalizeOllamaUsage(event) : null,
+      error: event.error
+    }),
+    parseError: (json) => typeof json?.error === 'string' ? json.error : json?.error?.message
+  },
+  'anthropic-messages': {
+    streamFormat: 'sse',
+    buildRequest: (config, { input, model, system, history, params = {}, stream }) => ({
+      url: config.url,
+      headers: {
+        'x-api-key': config.key,
+        'anthropic-version': config.apiVersion || '2023-06-01',
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model,
+        // Required by the Messages API
+        max_tokens: params.maxTokens || 4096,
+        ...(system ? { system } : {}),
+        messages: chatMessages(null, input, history),
+        // No seed support in the Messages API, and temperature stops at 1
+        ...withoutUndefined({
+          temperature: params.temperature === undefined ? undefined : Math.min(params.temperature, 1),
+          top_p: params.topP,
+          stop_sequences: params.stop
+        }),
+        stream
+      }
+    }),
+    parseResponse: (json) => ({
+      text: (json.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: normalizeAnthropicUsage(json.usage)
+    }),
+    // message_start carries input tokens, message_delta the final output count
+    parseStreamEvent: (event) => ({
+      text: event.type === 'content_block_delta' ? event.delta?.text : null,
+      usage: normalizeAnthropicUsage(event.message?.usage || event.usage),
+      error: event.type === 'error' ? event.error?.message : null
+    }),
+    parseError: (json) => json?.error?.message
+  },
+  // No network: answers come from fixture files, see MOCK / REPLAY PROVIDER.
+  // Adapters with their own `stream` bypass the HTTP request path.
+  replay: {
+    cacheable: false,
+    buildRequest: (config, request) => ({
+      url: `replay://${getReplaySettings().fixturesDir}`,
+      headers: {},
+      body: { model: request.model, prompt: replayPrompt(request) }
+    }),
+    stream: (config, request) => replayFixture(request),
+    parseError: () => null
+  }
+};
+
+// `history` holds earlier turns as { role: 'user' | 'assistant', content }
+function chatMessages(system, input, history = []) {
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...(history || []),
+    { role: 'user', content: input }
+  ];
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// OpenRouter adds the charged amount as `cost` when usage accounting is on
+function normalizeOpenAIUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+    ...(typeof usage.cost === 'number' ? { cost: usage.cost } : {})
+  };
+}
+
+function normalizeOllamaUsage(json) {
+  if (json.prompt_eval_count === undefined && json.eval_count === undefined) return null;
+  const promptTokens = json.prompt_eval_count || 0;
+  const completionTokens = json.eval_count || 0;
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Streamed usage can arrive in parts, so only fields that are present are set
+function normalizeAnthropicUsage(usage) {
+  if (!usage) return null;
+  const normalized = {};
+  if (usage.input_tokens !== undefined) normalized.promptTokens = usage.input_tokens;
+  if (usage.output_tokens !== undefined) normalized.completionTokens = usage.output_tokens;
+  return normalized;
+}
+
+function mergeUsage(current, next) {
+  const merged = { promptTokens: 0, completionTokens: 0, ...current, ...next };
+  merged.totalTokens = merged.promptTokens + merged.completionTokens;
+  return merged;
+}
+
+function getAdapter(config) {
+  const adapter = PROVIDER_ADAPTERS[config.type];
+  if (!adapter) throw new Error(`No adapter registered for provider type "${config.type}"`);
+  return adapter;
+}
+
+function registerAdapter(type, adapter) {
+  PROVIDER_ADAPTERS[type] = adapter;
+}
+
+/**
+ * Adds a provider to MODELS. It becomes selectable everywhere (menus, CLI,
+ * multi-agent) without changes to the handlers.
+ */
+function registerProvider(id, config) {
+  getAdapter(config);
+  MODELS[id] = { models: [], ...config };
+  return MODELS[id];
+}
+
+function isProviderAvailable(id) {
+  const config = MODELS[id];
+  if (config?.isAvailable) return config.isAvailable();
+  return Boolean(config && (config.requiresKey === false || config.key));
+}
+
+// =====================
+// CONFIGURATION FILE
+// =====================
+// Optional JSON file for settings that do not belong in .env, e.g.:
+// { "ollamaHost": "http://gpu-box:11434",
+//   "endpoints": { "lmstudio": { "baseUrl": "http://10.0.0.5:1234/v1" } } }
+const DEFAULT_CONFIG_PATH = './anyany.config.json';
+let CONFIG = loadConfig(process.env.ANYANY_CONFIG || DEFAULT_CONFIG_PATH);
+
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.log(`⚠️  Ignoring invalid config file ${configPath}: ${error.message}`);
+    return {};
+  }
+}
+
+// Accepts "host:port" the way OLLAMA_HOST does, and drops trailing slashes
+function normalizeBaseUrl(url) {
+  const withScheme = /^https?:\/\//.test(url) ? url : `http://${url}`;
+  return withScheme.replace(/\/+$/, '');
+}
+
+function setOllamaHost(host) {
+  MODELS.ollama.host = normalizeBaseUrl(host);
+  MODELS.ollama.url = `${MODELS.ollama.host}/api/chat`;
+}
+
+/**
+ * Registers an OpenAI-compatible server (LM Studio, vLLM, llama.cpp server,
+ * a shared inference box...) as its own provider. `baseUrl` is the part
+ * before /chat/completions, usually ending in /v1.
+ */
+function registerEndpoint(id, endpoint) {
+  if (!endpoint.baseUrl) {
+    console.log(`⚠️  Endpoint "${id}" has no baseUrl, skipping`);
+    return null;
+  }
+  if (MODELS[id] && !MODELS[id].endpoint) {
+    console.log(`⚠️  Endpoint "${id}" clashes with a built-in provider, skipping`);
+    return null;
+  }
+
+  const baseUrl = normalizeBaseUrl(endpoint.baseUrl);
+  const models = (endpoint.models || []).map(modelId => ({
+    id: modelId,
+    desc: `${modelId} 🖥️`,
+    cost: 'Self-hosted'
+  }));
+
+  return registerProvider(id, {
+    name: endpoint.name || id,
+    type: 'openai-chat',
+    endpoint: true,
+    baseUrl,
+    url: `${baseUrl}/chat/completions`,
+    key: endpoint.apiKey || (endpoint.apiKeyEnv ? process.env[endpoint.apiKeyEnv] : undefined),
+    requiresKey: false,
+    // Most servers report usage in the last stream chunk when asked to
+    streamUsage: endpoint.streamUsage !== false,
+    // Self-hosted, so free unless the config says otherwise
+    price: endpoint.price || { input: 0, output: 0 },
+    contextWindow: endpoint.contextWindow,
+    timeoutMs: endpoint.timeoutMs,
+    retries: endpoint.retries,
+    defaultModel: models[0]?.id,
+    models
+  });
+}
+
+function applyConfig(config = CONFIG) {
+  // OLLAMA_HOST from the environment wins over the config file
+  if (config.ollamaHost && !process.env.OLLAMA_HOST) {
+    setOllamaHost(config.ollamaHost);
+  }
+  Object.entries(config.endpoints || {}).forEach(([id, endpoint]) => registerEndpoint(id, endpoint));
+  responseCache = new ResponseCache(config.cache);
+  budgetTracker = new BudgetTracker(config.budgets);
+  refreshMockModels();
+}
+
+// Fills each endpoint's model list from its /models route
+async function discoverEndpointModels() {
+  const endpoints = Object.values(MODELS).filter(config => config.endpoint);
+
+  for (const config of endpoints) {
+    try {
+      const res = await fetch(`${config.baseUrl}/models`, {
+        headers: config.key ? { 'Authorization': `Bearer ${config.key}` } : {},
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      const data = await res.json();
+      const discovered = (data.data || []).map(model => ({
+        id: model.id,
+        desc: `${model.id} 🖥️`,
+        cost: 'Self-hosted'
+      }));
+      const configuredOnly = config.models.filter(m => !discovered.some(d => d.id === m.id));
+      config.models = [...discovered, ...configuredOnly];
+      config.defaultModel = config.defaultModel || config.models[0]?.id;
+      console.log(`✅ ${config.name}: ${discovered.length} models discovered`);
+    } catch (error) {
+      console.log(`⚠️  ${config.name} not reachable (${error.message}), using configured models`);
+    }
+  }
+}
+
+// =====================
+// GENERATION PARAMETERS
+// =====================
+// Layered from least to most specific: built-in defaults, `params` in the
+// config file, `taskParams.<task id>` (e.g. "bug_analysis") and finally the
+// request itself (CLI flags or a batch entry's `params`).
+const DEFAULT_GENERATION_PARAMS = { temperature: 0.7 };
+
+const GENERATION_PARAMS = {
+  temperature: value => Number(value) >= 0 && Number(value) <= 2 ? Number(value) : null,
+  maxTokens: value => Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null,
+  topP: value => Number(value) > 0 && Number(value) <= 1 ? Number(value) : null,
+  seed: value => Number.isInteger(Number(value)) ? Number(value) : null,
+  // One sequence, a JSON array of them, or an array from the config file
+  stop: value => {
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value !== 'string' || value === '') return null;
+    if (value.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed.map(String);
+      } catch {
+        // Not JSON, use it as a single stop sequence
+      }
+    }
+    return [value];
+  }
+};
+
+function parseGenerationParam(name, value) {
+  const parse = GENERATION_PARAMS[name];
+  if (!parse) throw new Error(`Unknown parameter "${name}". Available: ${Object.keys(GENERATION_PARAMS).join(', ')}`);
+  const parsed = parse(value);
+  if (parsed === null) throw new Error(`Invalid value for ${name}: ${JSON.stringify(value)}`);
+  return parsed;
+}
+
+// Drops unknown names and invalid values (with a warning) from a params object
+function sanitizeGenerationParams(params = {}, source = 'params') {
+  const sanitized = {};
+  Object.entries(params || {}).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    try {
+      sanitized[name] = parseGenerationParam(name, value);
+    } catch (error) {
+      console.log(`⚠️  Ignoring ${source}: ${error.message}`);
+    }
+  });
+  return sanitized;
+}
+
+function resolveGenerationParams(taskId = null, overrides = {}) {
+  return {
+    ...DEFAULT_GENERATION_PARAMS,
+    ...sanitizeGenerationParams(CONFIG.params, 'config params'),
+    ...(taskId ? sanitizeGenerationParams(CONFIG.taskParams?.[taskId], `taskParams.${taskId}`) : {}),
+    ...sanitizeGenerationParams(overrides)
+  };
+}
+
+/**
+ * The system message: `--system` or the config's `systemPrompt`, followed by
+ * a task template and any extra instructions. Empty parts are left out.
+ */
+function resolveSystemPrompt(options = {}, template = '', instructions = '') {
+  const parts = [
+    options.system ?? CONFIG.systemPrompt,
+    template,
+    instructions?.trim() ? `Additional instructions: ${instructions.trim()}` : ''
+  ];
+  return parts.filter(part => part && part.trim()).join('\n\n') || undefined;
+}
+
+// Session metadata needed to reproduce a result: the parameters, the system
+// prompt and the messages actually sent (template included). Chat history is
+// not copied into every turn; it is the `contextTurns` chat turns from
+// conversation `contextFrom` on (see sendChatTurn).
+function generationMetadata(request) {
+  const historyLength = request.historyMessages || 0;
+  const prompt = historyLength && request.messages
+    ? [...request.messages.slice(0, request.messages.length - 1 - historyLength), request.messages[request.messages.length - 1]]
+    : request.messages;
+  return {
+    params: request.params,
+    ...(request.system ? { systemPrompt: request.system } : {}),
+    ...(prompt ? { prompt } : {}),
+    ...(request.latencyMs !== undefined ? { latencyMs: request.latencyMs } : {})
+  };
+}
+
+// =====================
+// RESPONSE CACHE
+// =====================
+// Responses stored on disk under a hash of the exact request the adapter
+// builds (provider URL, model, generation parameters and full prompt), so
+// re-running a batch or comparison does not pay for the same call twice.
+class ResponseCache {
+  constructor(settings = {}) {
+    this.cacheDir = settings.dir || './.cache/responses';
+    this.ttlMs = (settings.ttlHours ?? 24 * 7) * 60 * 60 * 1000;
+    this.maxSizeBytes = (settings.maxSizeMB ?? 50) * 1024 * 1024;
+    // 'on' reads and writes, 'refresh' only writes, 'off' bypasses the cache
+    this.mode = settings.mode || (settings.enabled === false ? 'off' : 'on');
+  }
+
+  keyFor(config, request) {
+    const { url, body } = buildProviderRequest(config, request, false);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ type: config.type, url, body }))
+      .digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  get(key) {
+    if (this.mode !== 'on') return null;
+
+    const filePath = this.entryPath(key);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (Date.now() - Date.parse(entry.createdAt) > this.ttlMs) {
+        fs.rmSync(filePath, { force: true });
+        return null;
+      }
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  // The response is already paid for, so a cache that cannot be written only warns
+  set(key, entry) {
+    if (this.mode === 'off') return;
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const filePath = this.entryPath(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ key, createdAt: new Date().toISOString(), ...entry }, null, 2));
+      fs.renameSync(tempPath, filePath);
+      this.enforceSizeLimit();
+    } catch (error) {
+      console.log(`⚠️  Could not update the response cache: ${error.message}`);
+    }
+  }
+
+  // Size and age of every entry file, newest first, without reading them
+  entryFiles() {
+    if (!fs.existsSync(this.cacheDir)) return [];
+
+    return fs.readdirSync(this.cacheDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        const filePath = path.join(this.cacheDir, f);
+        try {
+          const { size, mtimeMs } = fs.statSync(filePath);
+          return { filePath, size, mtimeMs };
+        } catch {
+          // Evicted by another process meanwhile
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  // Every entry with its details, for the cache commands; reads each file
+  entries() {
+    return this.entryFiles()
+      .map(({ filePath, size }) => {
+        try {
+          const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          return {
+            filePath,
+            size,
+            createdAt: entry.createdAt,
+            provider: entry.provider,
+            model: entry.model,
+            promptPreview: entry.promptPreview,
+            expired: Date.now() - Date.parse(entry.createdAt) > this.ttlMs
+          };
+        } catch {
+          return { filePath, size, createdAt: new Date(0).toISOString(), expired: true };
+        }
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Drops the oldest entries until the cache fits in maxSizeBytes
+  enforceSizeLimit() {
+    const entries = this.entryFiles();
+    let totalSize = entries.reduce((sum, e) => sum + e.size, 0);
+    while (totalSize > this.maxSizeBytes && entries.length > 0) {
+      const oldest = entries.pop();
+      fs.rmSync(oldest.filePath, { force: true });
+      totalSize -= oldest.size;
+    }
+  }
+
+  stats() {
+    const entries = this.entries();
+    return {
+      entries: entries.length,
+      expired: entries.filter(e => e.expired).length,
+      sizeBytes: entries.reduce((sum, e) => sum + e.size, 0),
+      newest: entries[0]?.createdAt || null,
+      oldest: entries[entries.length - 1]?.createdAt || null
+    };
+  }
+
+  pruneExpired() {
+    const expired = this.entries().filter(e => e.expired);
+    expired.forEach(e => fs.rmSync(e.filePath, { force: true }));
+    return expired.length;
+  }
+
+  clear() {
+    const entries = this.entries();
+    entries.forEach(e => fs.rmSync(e.filePath, { force: true }));
+    return entries.length;
+  }
+}
+
+let responseCache = new ResponseCache(CONFIG.cache);
+
+// =====================
+// EXPORT FORMATS
+// =====================
+const EXPORT_FORMATS = {
+  txt: { 
+    extension: '.txt', 
+    name: 'Plain Text', 
+    icon: '📄',
+    converter: (content, meta = {}) => meta.note ? `${content}\n\n---\n${meta.note}\n` : content
+  },
+  md: { 
+    extension: '.md', 
+    name: 'Markdown', 
+    icon: '📝',
+    converter: (content, meta = {}) => meta.note ? `${content}\n\n---\n> ${meta.note}\n` : content
+  },
+  json: { 
+    extension: '.json', 
+    name: 'JSON', 
+    icon: '📊',
+    converter: (content, meta = {}) => JSON.stringify({ 
+      result: content, 
+      ...(meta.model ? { model: meta.model } : {}),
+      timestamp: new Date().toISOString(),
+      format: 'qa_ai_agent_output',
+      version: '3.0'
+    }, null, 2) 
+  },
+  html: { 
+    extension: '.html', 
+    name: 'HTML', 
+    icon: '🌐',
+    converter: (content, meta = {}) => {
+      const modelLine = meta.model
+        ? `<strong>Model:</strong> ${meta.model.replace(/</g, '&lt;').replace(/>/g, '&gt;')}<br>`
+        : '';
+      if (showdown) {
+        const converter = new showdown.Converter({
+          tables: true,
+          strikethrough: true,
+          tasklists: true,
           ghCodeBlocks: true,
           ghMentions: true,
           headerLevelStart: 2
@@ -231,548 +2178,2674 @@ const EXPORT_FORMATS = {
     <title>QA AI Agent Output</title>
     <style>
         body { 
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+          max-width: 900px; 
+          margin: 0 auto; 
+          padding: 20px; 
+          line-height: 1.6; 
+          color: #333;
+        }
+        pre { 
+          background: #f8f9fa; 
+          padding: 15px; 
+          border-radius: 8px; 
+          overflow-x: auto; 
+          border-left: 4px solid #007acc;
+        }
+        code { 
+          background: #f1f3f4; 
+          padding: 2px 6px; 
+          border-radius: 4px; 
+          font-family: 'Monaco', 'Menlo', monospace;
+        }
+        blockquote { 
+          border-left: 4px solid #e1e4e8; 
+          margin: 0; 
+          padding-left: 20px; 
+          color: #6a737d; 
+          font-style: italic;
+        }
+        table { 
+          border-collapse: collapse; 
+          width: 100%; 
+          margin: 15px 0;
+        }
+        th, td { 
+          border: 1px solid #e1e4e8; 
+          padding: 12px; 
+          text-align: left; 
+        }
+        th { 
+          background-color: #f6f8fa; 
+          font-weight: 600;
+        }
+        .header { 
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          padding: 20px;
+          border-radius: 8px;
+          margin-bottom: 20px;
+        }
+        .timestamp { 
+          color: #6a737d; 
+          font-size: 0.9em; 
+          margin-top: 30px; 
+          padding-top: 20px;
+          border-top: 1px solid #e1e4e8;
+        }
+        h1, h2, h3 { color: #24292e; }
+        h1 { border-bottom: 2px solid #e1e4e8; padding-bottom: 10px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🤖 QA AI Agent Output</h1>
+        <p>Generated with Enhanced QA AI Agent CLI v3.0</p>
+    </div>
+    ${htmlContent}
+    <div class="timestamp">
+        <strong>Generated:</strong> ${new Date().toLocaleString()}<br>
+        ${modelLine}
+        <strong>Tool:</strong> Enhanced QA AI Agent CLI v3.0
+    </div>
+</body>
+</html>`;
+      } else {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>QA AI Agent Output</title>
+    <style>
+        body { 
+          font-family: 'Monaco', 'Menlo', monospace; 
           max-width: 900px; 
           margin: 0 auto; 
           padding: 20px; 
-          line-height: 1.6; 
-          color: #333;
-        }
-        pre { 
-          background: #f8f9fa; 
-          padding: 15px; 
-          border-radius: 8px; 
-          overflow-x: auto; 
-          border-left: 4px solid #007acc;
+          white-space: pre-wrap; 
+          background: #f8f9fa;
+          color: #24292e;
         }
-        code { 
-          background: #f1f3f4; 
-          padding: 2px 6px; 
-          border-radius: 4px; 
-          font-family: 'Monaco', 'Menlo', monospace;
+        .container {
+          background: white;
+          padding: 30px;
+          border-radius: 8px;
+          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
         }
-        blockquote { 
-          border-left: 4px solid #e1e4e8; 
-          margin: 0; 
-          padding-left: 20px; 
+        .timestamp { 
           color: #6a737d; 
-          font-style: italic;
+          font-size: 0.9em; 
+          margin-top: 20px; 
+          padding-top: 20px;
+          border-top: 1px solid #e1e4e8;
         }
-        table { 
-          border-collapse: collapse; 
-          width: 100%; 
-          margin: 15px 0;
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🤖 QA AI Agent Output</h1>
+        ${content.replace(/</g, '<').replace(/>/g, '>')}
+        <div class="timestamp">
+            <strong>Generated:</strong> ${new Date().toLocaleString()}<br>
+            ${modelLine}
+            <strong>Tool:</strong> Enhanced QA AI Agent CLI v3.0
+        </div>
+    </div>
+</body>
+</html>`;
+      }
+    }
+  }
+};
+
+// =====================
+// SESSION TRANSCRIPTS
+// =====================
+// A whole session as a readable report in any EXPORT_FORMATS format: summary
+// statistics, a table of contents and every conversation with its task, model
+// and time. Outputs longer than `transcripts.collapseChars` (config, default
+// 1500) are folded into <details> blocks in Markdown and HTML.
+const DEFAULT_COLLAPSE_CHARS = 1500;
+
+// Falls back to the raw value for timestamps that do not parse
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date) ? String(timestamp ?? '—') : date.toLocaleString();
+}
+
+function formatLatency(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Requests, models, task breakdown and usage, as shown in Session Statistics
+function sessionStatistics(session) {
+  const conversations = session.conversations || [];
+  const tasks = {};
+  const modelUsage = {};
+  conversations.forEach(conv => {
+    const compacted = conv.metadata?.compacted;
+    if (compacted) {
+      // A compaction summary stands in for the conversations it replaced
+      Object.entries(compacted.tasks || {}).forEach(([task, count]) => { tasks[task] = (tasks[task] || 0) + count; });
+      Object.entries(compacted.modelUsage || {}).forEach(([modelName, totals]) => {
+        (modelUsage[modelName] = modelUsage[modelName] || []).push({ usage: totals, cost: totals.cost });
+      });
+      return;
+    }
+    tasks[conv.task] = (tasks[conv.task] || 0) + 1;
+    if (!conv.metadata?.usage) return;
+    const modelName = conv.metadata.answeredBy || `${conv.model}:${conv.metadata.model || conv.metadata.mode}`;
+    (modelUsage[modelName] = modelUsage[modelName] || []).push(conv.metadata);
+  });
+
+  const latencies = conversations.map(conv => conv.metadata?.latencyMs).filter(ms => typeof ms === 'number');
+  const timestamps = conversations.map(conv => conv.timestamp).filter(Boolean).sort();
+  return {
+    totalRequests: session.totalRequests ?? conversations.length,
+    conversations: conversations.length,
+    models: session.models || [],
+    tasks,
+    usage: summarizeUsage(conversations.map(conv => conv.metadata || {})),
+    modelUsage: Object.fromEntries(Object.entries(modelUsage).map(([name, records]) => [name, summarizeUsage(records)])),
+    averageLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    firstAt: timestamps[0] || null,
+    lastAt: timestamps[timestamps.length - 1] || null
+  };
+}
+
+function conversationModel(conv) {
+  return conv.metadata?.answeredBy ||
+    (conv.metadata?.agents ? conv.metadata.agents.map(agent => agent.desc || `${agent.provider}:${agent.model}`).join(', ') : null) ||
+    (conv.metadata?.model ? `${conv.model}:${conv.metadata.model}` : conv.model);
+}
+
+// Conversations inside [since, until) with their position in the full session
+function transcriptConversations(session, { since = null, until = null } = {}) {
+  return session.conversations
+    .map((conv, index) => ({ ...conv, number: index + 1 }))
+    .filter(conv => (!since || new Date(conv.timestamp) >= since) && (!until || new Date(conv.timestamp) < until));
+}
+
+function transcriptStatLines(stats, session = {}) {
+  const lines = [
+    ['Requests', stats.totalRequests],
+    ['Conversations', stats.conversations],
+    ['Models', stats.models.join(', ') || 'None'],
+    ['Period', stats.firstAt ? `${formatTimestamp(stats.firstAt)} – ${formatTimestamp(stats.lastAt)}` : '—']
+  ];
+  if (stats.usage.requests > 0) lines.push(['Usage', formatUsage(stats.usage, stats.usage.cost)]);
+  if (stats.averageLatencyMs !== null) lines.push(['Average latency', formatLatency(stats.averageLatencyMs)]);
+  if (session.tags?.length) lines.push(['Tags', session.tags.join(', ')]);
+  if (session.notes) lines.push(['Notes', session.notes]);
+  return lines;
+}
+
+function renderMarkdownTranscript(session, conversations, stats) {
+  const collapseAt = CONFIG.transcripts?.collapseChars ?? DEFAULT_COLLAPSE_CHARS;
+  let report = `# 📜 Session Transcript: ${session.name}\n\n`;
+  report += `**Session ID:** ${session.id}  \n**Created:** ${formatTimestamp(session.created)}  \n`;
+  report += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+
+  report += `## 📊 Summary\n\n`;
+  transcriptStatLines(stats, session).forEach(([label, value]) => {
+    report += `- **${label}:** ${value}\n`;
+  });
+  report += `\n| Task | Count |\n|------|-------|\n`;
+  Object.entries(stats.tasks).forEach(([task, count]) => {
+    report += `| ${task} | ${count} |\n`;
+  });
+  if (Object.keys(stats.modelUsage).length > 0) {
+    report += `\n| Model | Usage |\n|-------|-------|\n`;
+    Object.entries(stats.modelUsage).forEach(([name, totals]) => {
+      report += `| ${name} | ${formatUsage(totals, totals.cost)} |\n`;
+    });
+  }
+
+  report += `\n## 📑 Contents\n\n`;
+  conversations.forEach(conv => {
+    report += `${conv.number}. [${conv.task} · ${conversationModel(conv)} · ${formatTimestamp(conv.timestamp)}](#conversation-${conv.number})\n`;
+  });
+
+  conversations.forEach(conv => {
+    report += `\n---\n\n<a id="conversation-${conv.number}"></a>\n\n## ${conv.number}. ${conv.task}\n\n`;
+    report += `**Model:** ${conversationModel(conv)}  \n**Time:** ${formatTimestamp(conv.timestamp)}`;
+    if (conv.metadata?.usage) report += `  \n**Usage:** ${formatUsage(conv.metadata.usage, conv.metadata.cost)}`;
+    if (conv.metadata?.latencyMs !== undefined) report += `  \n**Latency:** ${formatLatency(conv.metadata.latencyMs)}`;
+    if (conv.metadata?.truncated) report += `  \n**Note:** ${conv.metadata.truncated.join(' and ')} cut short by an older version`;
+    report += `\n\n### 🧑 Input\n\n${conv.input}\n\n### 🤖 Output\n\n`;
+    report += conv.output.length > collapseAt
+      ? `<details>\n<summary>Show output (${conv.output.length.toLocaleString()} characters)</summary>\n\n${conv.output}\n\n</details>\n`
+      : `${conv.output}\n`;
+  });
+
+  return report;
+}
+
+function renderHtmlTranscript(session, conversations, stats) {
+  const collapseAt = CONFIG.transcripts?.collapseChars ?? DEFAULT_COLLAPSE_CHARS;
+  const converter = showdown ? new showdown.Converter({ tables: true, strikethrough: true, ghCodeBlocks: true }) : null;
+  const render = text => converter ? converter.makeHtml(text) : `<pre>${escapeHtml(text)}</pre>`;
+
+  const statRows = transcriptStatLines(stats, session)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n');
+  const taskRows = Object.entries(stats.tasks)
+    .map(([task, count]) => `<tr><td>${escapeHtml(task)}</td><td>${count}</td></tr>`).join('\n');
+  const modelRows = Object.entries(stats.modelUsage)
+    .map(([name, totals]) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(formatUsage(totals, totals.cost))}</td></tr>`).join('\n');
+  const toc = conversations
+    .map(conv => `<li><a href="#conversation-${conv.number}">${escapeHtml(`${conv.task} · ${conversationModel(conv)} · ${formatTimestamp(conv.timestamp)}`)}</a></li>`)
+    .join('\n');
+
+  const sections = conversations.map(conv => {
+    const details = [
+      `<strong>Model:</strong> ${escapeHtml(conversationModel(conv))}`,
+      `<strong>Time:</strong> ${escapeHtml(formatTimestamp(conv.timestamp))}`,
+      conv.metadata?.usage ? `<strong>Usage:</strong> ${escapeHtml(formatUsage(conv.metadata.usage, conv.metadata.cost))}` : null,
+      conv.metadata?.latencyMs !== undefined ? `<strong>Latency:</strong> ${formatLatency(conv.metadata.latencyMs)}` : null
+    ].filter(Boolean).join(' · ');
+    const output = conv.output.length > collapseAt
+      ? `<details><summary>Show output (${conv.output.length.toLocaleString()} characters)</summary>\n${render(conv.output)}\n</details>`
+      : render(conv.output);
+    return `<section id="conversation-${conv.number}">
+    <h2>${conv.number}. ${escapeHtml(conv.task)}</h2>
+    <p class="meta">${details}</p>
+    <h3>🧑 Input</h3>
+    <pre>${escapeHtml(conv.input)}</pre>
+    <h3>🤖 Output</h3>
+    ${output}
+  </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Session Transcript: ${escapeHtml(session.name)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #333; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+        pre { background: #f8f9fa; padding: 15px; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; border-left: 4px solid #007acc; }
+        table { border-collapse: collapse; margin: 15px 0; }
+        th, td { border: 1px solid #e1e4e8; padding: 8px 12px; text-align: left; }
+        th { background-color: #f6f8fa; font-weight: 600; }
+        section { border-top: 1px solid #e1e4e8; margin-top: 30px; }
+        .meta { color: #6a737d; font-size: 0.9em; }
+        details summary { cursor: pointer; color: #007acc; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>📜 ${escapeHtml(session.name)}</h1>
+        <p>Session ${escapeHtml(session.id)} · created ${escapeHtml(formatTimestamp(session.created))} · generated ${escapeHtml(new Date().toLocaleString())}</p>
+    </div>
+    <h2>📊 Summary</h2>
+    <table>${statRows}</table>
+    <table><tr><th>Task</th><th>Count</th></tr>${taskRows}</table>
+    ${modelRows ? `<table><tr><th>Model</th><th>Usage</th></tr>${modelRows}</table>` : ''}
+    <h2>📑 Contents</h2>
+    <ol>${toc}</ol>
+    ${sections}
+</body>
+</html>`;
+}
+
+function renderTextTranscript(session, conversations, stats) {
+  let report = `SESSION TRANSCRIPT: ${session.name}\n${'='.repeat(70)}\n`;
+  report += `Session ID: ${session.id}\nCreated: ${formatTimestamp(session.created)}\n\n`;
+  transcriptStatLines(stats, session).forEach(([label, value]) => {
+    report += `${label}: ${value}\n`;
+  });
+  report += `\nTask Breakdown:\n`;
+  Object.entries(stats.tasks).forEach(([task, count]) => {
+    report += `  ${task}: ${count} times\n`;
+  });
+  report += `\nContents:\n`;
+  conversations.forEach(conv => {
+    report += `  ${conv.number}. ${conv.task} · ${conversationModel(conv)} · ${formatTimestamp(conv.timestamp)}\n`;
+  });
+
+  conversations.forEach(conv => {
+    report += `\n${'='.repeat(70)}\n${conv.number}. ${conv.task}\n`;
+    report += `Model: ${conversationModel(conv)}\nTime: ${formatTimestamp(conv.timestamp)}\n`;
+    if (conv.metadata?.usage) report += `Usage: ${formatUsage(conv.metadata.usage, conv.metadata.cost)}\n`;
+    report += `${'-'.repeat(70)}\nINPUT:\n${conv.input}\n\nOUTPUT:\n${conv.output}\n`;
+  });
+  return report;
+}
+
+function renderJsonTranscript(session, conversations, stats) {
+  return JSON.stringify({
+    format: 'qa_ai_agent_transcript',
+    version: '3.0',
+    generated: new Date().toISOString(),
+    session: { id: session.id, name: session.name, created: session.created, tags: session.tags || [], notes: session.notes || null },
+    statistics: stats,
+    conversations
+  }, null, 2);
+}
+
+const TRANSCRIPT_RENDERERS = {
+  md: renderMarkdownTranscript,
+  html: renderHtmlTranscript,
+  txt: renderTextTranscript,
+  json: renderJsonTranscript
+};
+
+/**
+ * The transcript of `session` in an EXPORT_FORMATS key. `since` / `until`
+ * (Dates) limit it to conversations from that period, e.g. one day.
+ */
+function generateSessionTranscript(session, format = 'md', range = {}) {
+  const renderer = TRANSCRIPT_RENDERERS[format];
+  if (!renderer) throw new Error(`Unknown format "${format}". Available: ${Object.keys(TRANSCRIPT_RENDERERS).join(', ')}`);
+  const conversations = transcriptConversations(session, range);
+  // A date range only counts its own conversations
+  const stats = range.since || range.until
+    ? sessionStatistics({ ...session, conversations, totalRequests: conversations.length, models: [...new Set(conversations.map(conv => conv.model))] })
+    : sessionStatistics(session);
+  return renderer(session, conversations, stats);
+}
+
+// =====================
+// MULTI-AGENT SYSTEM
+// =====================
+// Debate settings come from `debate` in the config file, e.g.
+// { "rounds": 3, "moderator": "openai:gpt-4o", "stances": ["pro", "con"] },
+// and can be overridden per run (--rounds, --moderator, --stances).
+const DEFAULT_DEBATE_ROUNDS = 2;
+const MAX_DEBATE_ROUNDS = 10;
+
+const STANCE_INSTRUCTIONS = {
+  pro: 'You argue in favour: defend the proposal or the most likely answer and build the strongest case for it.',
+  con: 'You argue against: challenge the proposal or the most likely answer, look for flaws, risks and alternatives.',
+  neutral: 'You are a neutral participant: weigh both sides and point out what the others overlook.'
+};
+
+const DEBATE_MODERATOR_PROMPT = `You are the moderator of a debate between AI agents. Read the whole transcript and write a synthesis in Markdown with exactly these sections:
+
+## Points of Agreement
+What the agents agree on, naming who.
+
+## Open Disagreements
+Where they still disagree, with each side's position and what would settle it.
+
+## Strongest Arguments
+For each agent, its strongest argument in one or two sentences.
+
+## Recommendation
+Your final answer to the question, with the reasoning that decided it and how confident you are.
+
+Judge the arguments on their merits, not on how often they were repeated. Do not invent claims the agents did not make.`;
+
+// "pro,con" -> ['pro', 'con']; "auto" or true alternates pro and con across the agents
+function parseStances(value, agentCount) {
+  if (!value || value === 'none') return [];
+  if (value === true || value === 'auto') {
+    return Array.from({ length: agentCount }, (_, index) => (index % 2 === 0 ? 'pro' : 'con'));
+  }
+  const stances = (Array.isArray(value) ? value : String(value).split(',')).map(stance => String(stance).trim()).filter(Boolean);
+  if (stances.length > agentCount) throw new CliUsageError(`${stances.length} stances given for ${agentCount} agents`);
+  return stances;
+}
+
+// Known stances get a fixed instruction, anything else is used as the position itself
+function debateSystemPrompt(system, stance) {
+  if (!stance) return system;
+  const instruction = STANCE_INSTRUCTIONS[stance.toLowerCase()] || `Your assigned position in this debate: ${stance}. Argue it as convincingly as you can.`;
+  return [system, instruction].filter(Boolean).join('\n\n');
+}
+
+function debateSpeaker(turn) {
+  return turn.stance ? `${turn.agent} (${turn.stance})` : turn.agent;
+}
+
+function formatDebateTranscript(transcript) {
+  const rounds = [...new Set(transcript.map(turn => turn.round))];
+  return rounds.map(round => `## Round ${round}\n\n` + transcript
+    .filter(turn => turn.round === round)
+    .map(turn => `### ${debateSpeaker(turn)}\n\n${turn.response}`)
+    .join('\n\n')).join('\n\n');
+}
+
+// Shortens every answer by the same amount when the transcript would not fit in `maxTokens`
+function fitDebateTranscript(transcript, maxTokens) {
+  const total = transcript.reduce((sum, turn) => sum + estimateTokens(turn.response), 0);
+  if (total <= maxTokens) return transcript;
+  const maxChars = Math.max(200, Math.floor((maxTokens * 4) / transcript.length));
+  return transcript.map(turn => turn.response.length > maxChars
+    ? { ...turn, response: `${turn.response.substring(0, maxChars)}… [shortened for the moderator]` }
+    : turn);
+}
+
+// Declarative pipelines. A pipeline file (JSON or YAML, saved in
+// `pipelines.dir`, default ./pipelines) lists the steps to run in order:
+//
+//   name: Bug triage
+//   steps:
+//     - id: analysis
+//       role: Log analyst
+//       agent: openai:gpt-4o-mini
+//       task: bug_analysis
+//     - id: repro
+//       role: QA engineer
+//       system: Write numbered reproduction steps only.
+//       input: [input, analysis]
+//       stopIf: { field: Impact Level, equals: [Low] }
+//       output: output/repro.md
+//
+// `input` is what a step reads: "input" (the original input), "previous"
+// (the default after the first step), an earlier step id, or a list of
+// them. `prompt` is a template with {{input}}, {{previous}} and
+// {{steps.<id>}} instead. Steps without an agent take the selected agents
+// in turn. Without a file, runPipelineMode builds an analyst → reviewer →
+// editor pipeline from the selected agents.
+const PIPELINE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const PIPELINE_STEP_KEYS = ['id', 'role', 'agent', 'system', 'task', 'input', 'prompt', 'params', 'stopIf', 'output'];
+const PIPELINE_PLACEHOLDER = /\{\{\s*(input|previous|steps\.([\w-]+))\s*\}\}/g;
+
+function pipelinesDir() {
+  return CONFIG.pipelines?.dir || './pipelines';
+}
+
+// A PROMPTS key from a key, a CLI-style id ("bug_analysis") or a task menu name
+function findTemplateKey(task) {
+  const key = String(task).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (PROMPTS[key] !== undefined) return key;
+  const name = findTaskName(String(task));
+  return name ? TASK_OPTIONS[name] : null;
+}
+
+/**
+ * Checks a parsed pipeline file and fills in the defaults. Throws with the
+ * file and step named, so a broken pipeline fails before any model call.
+ */
+function validatePipeline(definition, source) {
+  const fail = message => { throw new Error(`${source}: ${message}`); };
+  if (!definition || typeof definition !== 'object') fail('expected an object with "steps"');
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) fail('"steps" must be a non-empty list');
+
+  const ids = [];
+  const steps = definition.steps.map((raw, index) => {
+    const where = `step ${index + 1}`;
+    if (!raw || typeof raw !== 'object') fail(`${where} must be an object`);
+    const unknown = Object.keys(raw).filter(key => !PIPELINE_STEP_KEYS.includes(key));
+    if (unknown.length) fail(`${where} has unknown field(s): ${unknown.join(', ')}`);
+
+    const id = String(raw.id ?? `step${index + 1}`);
+    if (!/^[\w-]+$/.test(id)) fail(`${where} id "${id}" may only use letters, digits, _ and -`);
+    if (['input', 'previous'].includes(id) || ids.includes(id)) fail(`${where} id "${id}" is reserved or used twice`);
+
+    let agent = null;
+    if (raw.agent) {
+      agent = parseModelRef(String(raw.agent));
+      if (!MODELS[agent.provider] || !agent.model) fail(`${where} agent "${raw.agent}" is not a known provider:model`);
+    }
+
+    const task = raw.task ? findTemplateKey(raw.task) : null;
+    if (raw.task && !task) fail(`${where} task "${raw.task}" is not a PROMPTS template`);
+
+    const input = raw.input === undefined ? [index === 0 ? 'input' : 'previous'] : [].concat(raw.input).map(String);
+    const missing = input.filter(ref => ref !== 'input' && !(ref === 'previous' && index > 0) && !ids.includes(ref));
+    if (missing.length) fail(`${where} input "${missing[0]}" is not the input or an earlier step`);
+
+    if (raw.prompt !== undefined) {
+      if (typeof raw.prompt !== 'string') fail(`${where} prompt must be text`);
+      [...raw.prompt.matchAll(PIPELINE_PLACEHOLDER)].forEach(([placeholder, key, ref]) => {
+        if ((ref && !ids.includes(ref)) || (key === 'previous' && index === 0)) fail(`${where} prompt uses ${placeholder} before that output exists`);
+      });
+    }
+
+    let params = null;
+    if (raw.params !== undefined) {
+      if (!raw.params || typeof raw.params !== 'object' || Array.isArray(raw.params)) fail(`${where} params must be an object`);
+      params = {};
+      Object.entries(raw.params).forEach(([name, value]) => {
+        try {
+          params[name] = parseGenerationParam(name, value);
+        } catch (error) {
+          fail(`${where} params: ${error.message}`);
         }
-        th, td { 
-          border: 1px solid #e1e4e8; 
-          padding: 12px; 
-          text-align: left; 
+      });
+    }
+
+    if (raw.stopIf !== undefined) {
+      const stop = raw.stopIf;
+      if (!stop || typeof stop !== 'object' || !(stop.contains || stop.matches || stop.field)) {
+        fail(`${where} stopIf needs "contains", "matches" or "field"`);
+      }
+      if (stop.field && stop.equals === undefined) fail(`${where} stopIf.field needs "equals"`);
+      if (stop.matches) {
+        try {
+          new RegExp(stop.matches);
+        } catch (error) {
+          fail(`${where} stopIf.matches is not a valid regex: ${error.message}`);
         }
-        th { 
-          background-color: #f6f8fa; 
-          font-weight: 600;
+      }
+    }
+
+    ids.push(id);
+    return {
+      id,
+      role: raw.role ? String(raw.role) : null,
+      agent,
+      system: raw.system ? String(raw.system) : null,
+      task,
+      input,
+      prompt: raw.prompt ?? null,
+      params,
+      stopIf: raw.stopIf || null,
+      output: raw.output ? String(raw.output) : null
+    };
+  });
+
+  return {
+    name: String(definition.name || path.basename(source, path.extname(source))),
+    description: definition.description ? String(definition.description) : '',
+    file: source,
+    steps
+  };
+}
+
+async function loadPipeline(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let definition;
+  if (/\.ya?ml$/i.test(file)) {
+    let YAML;
+    try {
+      YAML = await import('yaml');
+    } catch {
+      throw new Error(`Reading ${file} needs the 'yaml' package: npm install yaml`);
+    }
+    definition = YAML.parse(text);
+  } else {
+    definition = JSON.parse(text);
+  }
+  return validatePipeline(definition, file);
+}
+
+// Every pipeline file in pipelinesDir(); broken ones are reported and left out
+async function listSavedPipelines() {
+  const dir = pipelinesDir();
+  if (!fs.existsSync(dir)) return [];
+  const pipelines = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!PIPELINE_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+    try {
+      pipelines.push(await loadPipeline(path.join(dir, file)));
+    } catch (error) {
+      console.log(`⚠️  Skipping pipeline ${error.message}`);
+    }
+  }
+  return pipelines;
+}
+
+// A pipeline by file path, file name (without extension) or name
+async function findPipeline(query) {
+  if (fs.existsSync(query) && fs.statSync(query).isFile()) return loadPipeline(query);
+  const wanted = query.toLowerCase();
+  const match = (await listSavedPipelines()).find(pipeline =>
+    pipeline.name.toLowerCase() === wanted || path.basename(pipeline.file, path.extname(pipeline.file)).toLowerCase() === wanted
+  );
+  if (!match) throw new CliUsageError(`Pipeline not found: ${query} (looked in ${pipelinesDir()})`);
+  return match;
+}
+
+/**
+ * The pipeline used without a file: the first agent answers, the middle
+ * ones review and extend the previous answer, the last one edits it into
+ * the final answer. Every step sees the original request.
+ */
+function defaultPipeline(agents) {
+  const followUp = 'Original request:\n{{input}}\n\nPrevious answer:\n{{previous}}';
+  return {
+    name: 'Ad-hoc pipeline',
+    description: '',
+    file: null,
+    steps: agents.map((agent, index) => {
+      const base = { id: `step${index + 1}`, agent, task: null, params: null, stopIf: null, output: null };
+      if (index === 0) {
+        return {
+          ...base,
+          role: 'Analyst',
+          system: 'You are the first agent in a review pipeline. Answer the request thoroughly; the agents after you will check and extend your answer.',
+          input: ['input'],
+          prompt: null
+        };
+      }
+      return {
+        ...base,
+        role: index === agents.length - 1 ? 'Editor' : 'Reviewer',
+        system: index === agents.length - 1
+          ? 'You are the last agent in a review pipeline. Check the previous answer against the original request, fix what is wrong or missing and give the final, complete answer.'
+          : 'You review the previous agent\'s answer to the original request. Correct mistakes, fill gaps and add what is missing, then give the complete improved answer, not only the changes.',
+        input: ['previous'],
+        prompt: followUp
+      };
+    })
+  };
+}
+
+function pipelineStepLabel(step) {
+  return step.role ? `${step.role} (${step.id})` : step.id;
+}
+
+// The text a step is sent, from its prompt template or its input mapping
+function pipelineStepInput(step, input, outputs, previousId, stepsById) {
+  const resolve = ref => ref === 'input' ? input
+    : ref === 'previous' ? outputs.get(previousId) ?? input
+    : outputs.get(ref) ?? '';
+  if (step.prompt) {
+    return step.prompt.replace(PIPELINE_PLACEHOLDER, (_, key, ref) => resolve(ref || key));
+  }
+  if (step.input.length === 1) return resolve(step.input[0]);
+  return step.input.map(ref => {
+    const title = ref === 'input' ? 'Original input'
+      : `Output of ${pipelineStepLabel(stepsById.get(ref === 'previous' ? previousId : ref))}`;
+    return `## ${title}\n\n${resolve(ref)}`;
+  }).join('\n\n');
+}
+
+// Why the pipeline stops after this output, or null to go on
+function pipelineStopReason(stopIf, output) {
+  if (!stopIf) return null;
+  let matched = false;
+  let condition;
+  if (stopIf.contains) {
+    matched = output.toLowerCase().includes(String(stopIf.contains).toLowerCase());
+    condition = `output contains "${stopIf.contains}"`;
+  } else if (stopIf.matches) {
+    matched = new RegExp(stopIf.matches, 'i').test(output);
+    condition = `output matches /${stopIf.matches}/`;
+  } else {
+    const allowed = [].concat(stopIf.equals).map(value => String(value).toLowerCase());
+    const field = String(stopIf.field).toLowerCase();
+    const value = output.split('\n').map(line => line.replace(/[*_`#>]/g, '').match(/^\s*(?:[-+•]\s*|\d+[.)]\s*)?([^:=]+?)\s*[:=]\s*\[?([A-Za-z0-9][\w-]*)/))
+      .find(match => match && match[1].toLowerCase() === field)?.[2];
+    matched = value !== undefined && allowed.includes(value.toLowerCase());
+    condition = `${stopIf.field} is ${value}`;
+  }
+  return matched ? (stopIf.reason ? String(stopIf.reason) : condition) : null;
+}
+
+// Consensus scoring. Each answer is split into claims (sentences and list
+// items); claims from different agents that share enough content words
+// (cosine similarity of word counts, `consensus.similarity`, default 0.35)
+// count as the same point. Classification fields such as "Impact Level:
+// High" are decided by majority vote. An optional judge model
+// (`consensus.judge`) compares the answers too and writes the merged answer.
+const DEFAULT_SIMILARITY = 0.35;
+const MAX_CLAIMS_PER_ANSWER = 60;
+const CLASSIFICATION_FIELDS = ['impact level', 'impact', 'priority', 'severity', 'risk level', 'risk', 'likelihood', 'verdict', 'status'];
+const STOPWORDS = new Set((
+  'the and but for nor yet with from into onto than then that this these those there here what which who whom whose ' +
+  'when where why how are was were been being have has had does did doing can could should would will shall may might must ' +
+  'not also very just only such some any each every all both more most less other its our your their they them you his her ' +
+  'about above below over under again further once same own too out off per via because while during before after'
+).split(' '));
+
+// Lowercased content words with common suffixes removed, so "timeouts" and "timeout" match
+function claimTokens(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9_-]*/g) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(word => (word.length > 5 ? word.replace(/(ing|ed|es|ly|s)$/, '') : word.replace(/s$/, '')));
+}
+
+function termVector(tokens) {
+  const vector = new Map();
+  tokens.forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+  return vector;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  a.forEach((count, token) => { dot += count * (b.get(token) || 0); });
+  if (dot === 0) return 0;
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function classificationFields() {
+  return [...CLASSIFICATION_FIELDS, ...(CONFIG.consensus?.fields || []).map(field => field.toLowerCase())];
+}
+
+// "- **Impact Level:** High – most users" -> ['impact level', 'High']
+function parseFieldLine(line) {
+  const match = line.replace(/[*_`#>]/g, '').match(/^\s*(?:[-+•]\s*|\d+[.)]\s*)?([A-Za-z][A-Za-z /]{1,30}?)\s*[:=]\s*(.+)$/);
+  if (!match) return null;
+  const field = match[1].trim().toLowerCase();
+  const value = match[2].trim().match(/^\[?([A-Za-z0-9][A-Za-z0-9-]*)/)?.[1];
+  return classificationFields().includes(field) && value ? [field, value] : null;
+}
+
+// Sentences and list items with at least three content words; field lines are voted on instead
+function extractClaims(text) {
+  const claims = [];
+  text.replace(/```[\s\S]*?```/g, ' ').split('\n').forEach(line => {
+    if (/^\s*#/.test(line) || parseFieldLine(line)) return;
+    const clean = line.replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '').replace(/[*_`>]/g, '').trim();
+    clean.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/).forEach(sentence => {
+      const tokens = claimTokens(sentence);
+      if (tokens.length >= 3) claims.push({ text: sentence.trim(), vector: termVector(tokens) });
+    });
+  });
+  return claims.slice(0, MAX_CLAIMS_PER_ANSWER);
+}
+
+// { field: [values in order] }, so answers rating several items vote per item
+function extractFields(text) {
+  const fields = {};
+  text.split('\n').forEach(line => {
+    const parsed = parseFieldLine(line);
+    if (parsed) (fields[parsed[0]] = fields[parsed[0]] || []).push(parsed[1]);
+  });
+  return fields;
+}
+
+function titleCase(text) {
+  return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Majority vote per classification field (and per item when answers rate
+ * several): { label, winner, votes: { value: [agents] }, majority, voters }.
+ */
+function voteOnFields(answers) {
+  const fieldNames = [...new Set(answers.flatMap(answer => Object.keys(answer.fields)))];
+  return fieldNames.flatMap(field => {
+    const items = Math.max(...answers.map(answer => answer.fields[field]?.length || 0));
+    return Array.from({ length: items }, (_, item) => {
+      const votes = {};
+      const display = {};
+      answers.forEach(answer => {
+        const value = answer.fields[field]?.[item];
+        if (!value) return;
+        const key = value.toLowerCase();
+        display[key] = display[key] || value;
+        (votes[key] = votes[key] || []).push(answer.agent);
+      });
+      const ranked = Object.entries(votes).sort((a, b) => b[1].length - a[1].length);
+      const voters = ranked.reduce((sum, [, agents]) => sum + agents.length, 0);
+      const [top, second] = ranked;
+      const majority = top[1].length > voters / 2 && (!second || second[1].length < top[1].length);
+      return {
+        label: `${titleCase(field)}${items > 1 ? ` #${item + 1}` : ''}`,
+        winner: majority ? display[top[0]] : null,
+        votes: Object.fromEntries(ranked.map(([key, agents]) => [display[key], agents])),
+        majority,
+        voters
+      };
+    });
+  });
+}
+
+/**
+ * Groups similar claims across answers into points, each with the agents
+ * that make it. An agent repeating itself counts once per point.
+ */
+function clusterClaims(answers, threshold) {
+  const points = [];
+  answers.forEach(answer => {
+    answer.claims.forEach(claim => {
+      let best = null;
+      let bestScore = threshold;
+      points.forEach(point => {
+        const score = Math.max(...point.claims.map(other => cosineSimilarity(other.vector, claim.vector)));
+        if (score >= bestScore) {
+          best = point;
+          bestScore = score;
         }
-        .header { 
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          padding: 20px;
-          border-radius: 8px;
-          margin-bottom: 20px;
+      });
+      if (!best) {
+        points.push({ text: claim.text, agents: [answer.agent], claims: [claim] });
+      } else if (!best.agents.includes(answer.agent)) {
+        best.agents.push(answer.agent);
+        best.claims.push(claim);
+      }
+    });
+  });
+  return points;
+}
+
+// Share of each agent's claims that the other agent also makes, averaged both ways
+function pairwiseAgreement(answers, threshold) {
+  const covered = (from, to) => from.claims.length === 0 ? 0
+    : from.claims.filter(claim => to.claims.some(other => cosineSimilarity(claim.vector, other.vector) >= threshold)).length / from.claims.length;
+  const pairs = [];
+  answers.forEach((a, i) => answers.slice(i + 1).forEach(b => {
+    pairs.push({ agents: [a.agent, b.agent], agreement: Math.round(((covered(a, b) + covered(b, a)) / 2) * 100) });
+  }));
+  return pairs;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+/**
+ * Local consensus over [{ agent, response }]: agreement per pair, per agent
+ * and overall (0-100), points with their supporters, and field votes.
+ */
+function analyzeConsensus(responses, threshold = CONFIG.consensus?.similarity ?? DEFAULT_SIMILARITY) {
+  const answers = responses.map(({ agent, response }) => ({ agent, claims: extractClaims(response), fields: extractFields(response) }));
+  const pairs = pairwiseAgreement(answers, threshold);
+  const agents = answers.map(answer => answer.agent);
+  return {
+    agreement: average(pairs.map(pair => pair.agreement)),
+    pairs,
+    agentAgreement: Object.fromEntries(agents.map(agent => [agent, average(pairs.filter(pair => pair.agents.includes(agent)).map(pair => pair.agreement))])),
+    points: clusterClaims(answers, threshold).map(({ text, agents: supporters }) => ({ text, agents: supporters })),
+    votes: voteOnFields(answers)
+  };
+}
+
+const CONSENSUS_JUDGE_PROMPT = `You compare answers that several AI agents gave to the same question. Reply with JSON only, in this shape:
+{"agreement": <0-100, how much the answers agree in substance>,
+ "points": [{"point": "<one claim or recommendation>", "support": ["<agent>", ...], "dissent": [{"agent": "<agent>", "position": "<what it says instead>"}]}],
+ "answer": "<the merged answer in Markdown, built from the points with the most support; say where agents disagree>"}
+List every substantive point, use the agent names exactly as given, and leave "dissent" empty when nobody contradicts a point.`;
+
+// The judge's JSON reply, with unknown agent names dropped; null when it cannot be read
+function parseJudgeVerdict(text, agents) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  let verdict;
+  try {
+    verdict = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(verdict.points)) return null;
+  const known = name => agents.includes(name);
+  return {
+    agreement: Number.isFinite(Number(verdict.agreement)) ? Math.max(0, Math.min(100, Math.round(Number(verdict.agreement)))) : null,
+    points: verdict.points.filter(point => point && typeof point.point === 'string').map(point => ({
+      text: point.point,
+      agents: (Array.isArray(point.support) ? point.support : []).filter(known),
+      dissent: (Array.isArray(point.dissent) ? point.dissent : []).filter(entry => known(entry?.agent))
+        .map(entry => ({ agent: entry.agent, position: String(entry.position || '') }))
+    })),
+    answer: typeof verdict.answer === 'string' ? verdict.answer : null
+  };
+}
+
+class MultiAgentOrchestrator {
+  constructor(models, { system, params } = {}) {
+    this.models = models;
+    this.system = system;
+    this.params = params || resolveGenerationParams();
+    // Usage and cost of every successful agent call, for the session totals
+    this.calls = [];
+  }
+
+  async runCollaboration(input, mode, selectedModels, taskName, modeOptions = {}) {
+    console.log(`\n🤖 Multi-Agent ${mode} Mode`);
+    console.log('='.repeat(60));
+
+    switch (mode) {
+      case 'Debate':
+        return await this.runDebateMode(input, selectedModels, modeOptions);
+      case 'Pipeline':
+        return await this.runPipelineMode(input, selectedModels, modeOptions);
+      case 'Consensus':
+        return await this.runConsensusMode(input, selectedModels, modeOptions);
+      default:
+        return await this.callSingleAgent(selectedModels[0], input);
+    }
+  }
+
+  /**
+   * Agents answer in turn for `rounds` rounds, each seeing the latest full
+   * answer of every participant. `stances` assigns positions by agent order.
+   * A moderator model then reads the whole transcript and writes the
+   * synthesis; the structured transcript is kept in `this.debate`.
+   */
+  async runDebateMode(input, agents, { rounds = DEFAULT_DEBATE_ROUNDS, stances = [], moderator = null } = {}) {
+    const transcript = [];
+
+    for (let round = 1; round <= rounds; round++) {
+      console.log(`\n🗣️  Round ${round} of ${rounds}`);
+
+      for (const [index, agent] of agents.entries()) {
+        const name = `${agent.provider}-${agent.model}`;
+        const stance = stances[index] || null;
+        console.log(`\n🤖 Agent ${name}${stance ? ` (${stance})` : ''} thinking...`);
+
+        // The latest answer of every participant, this agent's own included
+        const latest = [...new Map(transcript.map(turn => [turn.agent, turn])).values()];
+        let prompt = input;
+        if (latest.length > 0) {
+          prompt += `\n\nThe debate so far (latest answer of each participant):\n\n` +
+            latest.map(turn => `### ${turn.agent === name ? 'Your previous answer' : debateSpeaker(turn)} (round ${turn.round})\n${turn.response}`).join('\n\n') +
+            `\n\nRespond to the other participants: say where you agree, where you disagree and why, then give your refined answer.`;
         }
-        .timestamp { 
-          color: #6a737d; 
-          font-size: 0.9em; 
-          margin-top: 30px; 
-          padding-top: 20px;
-          border-top: 1px solid #e1e4e8;
+
+        const result = await this.callSingleAgent(agent, prompt, { system: debateSystemPrompt(this.system, stance) });
+        if (result.success) {
+          transcript.push({ round, agent: name, ...(stance ? { stance } : {}), response: result.result });
+          console.log(`✅ Response received (${result.result.length} chars)`);
+        } else {
+          console.log(`❌ Failed: ${result.error}`);
         }
-        h1, h2, h3 { color: #24292e; }
-        h1 { border-bottom: 2px solid #e1e4e8; padding-bottom: 10px; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>🤖 QA AI Agent Output</h1>
-        <p>Generated with Enhanced QA AI Agent CLI v3.0</p>
-    </div>
-    ${htmlContent}
-    <div class="timestamp">
-        <strong>Generated:</strong> ${new Date().toLocaleString()}<br>
-        <strong>Tool:</strong> Enhanced QA AI Agent CLI v3.0
-    </div>
-</body>
-</html>`;
+      }
+    }
+
+    if (transcript.length === 0) return null;
+    const synthesis = await this.moderateDebate(input, transcript, moderator);
+    this.debate = {
+      rounds,
+      stances: agents.map((agent, index) => stances[index] || null),
+      moderator: moderator ? formatModelRef(moderator) : null,
+      moderated: Boolean(synthesis),
+      transcript
+    };
+    return this.synthesizeDebateResults(synthesis, transcript, this.debate);
+  }
+
+  // The moderator's synthesis, or null without a moderator or when it fails
+  async moderateDebate(input, transcript, moderator) {
+    if (!moderator) return null;
+    console.log(`\n⚖️  Moderator ${formatModelRef(moderator)} is reviewing the debate...`);
+
+    const room = getContextBudget(moderator.provider, moderator.model) - (this.params.maxTokens || 1024) -
+      estimateTokens(DEBATE_MODERATOR_PROMPT) - estimateTokens(input) - 500;
+    const prompt = `Question:\n${input}\n\nDebate transcript:\n\n${formatDebateTranscript(fitDebateTranscript(transcript, room))}`;
+    const result = await this.callSingleAgent(moderator, prompt, { system: DEBATE_MODERATOR_PROMPT, role: 'moderator' });
+    if (!result.success) {
+      console.log(`⚠️  Moderator failed: ${result.error}`);
+      return null;
+    }
+    return result.result;
+  }
+
+  /**
+   * Runs the steps of `pipeline` (see validatePipeline), or of the default
+   * analyst → reviewer → editor pipeline over `agents`, in order. A failed
+   * step or a matching `stopIf` ends the run; the steps and their full
+   * outputs are kept in `this.pipeline`.
+   */
+  async runPipelineMode(input, agents, { pipeline = null } = {}) {
+    const definition = pipeline || defaultPipeline(agents);
+    const stepsById = new Map(definition.steps.map(step => [step.id, step]));
+    const outputs = new Map();
+    const results = [];
+    let previousId = null;
+    let stopped = null;
+
+    for (const [index, step] of definition.steps.entries()) {
+      const agent = step.agent || agents[index % agents.length];
+      const agentName = `${agent.provider}-${agent.model}`;
+      console.log(`\n📡 Pipeline Step ${index + 1}/${definition.steps.length}: ${pipelineStepLabel(step)} · ${agentName}`);
+
+      const system = [this.system, step.system, step.task ? PROMPTS[step.task] : '']
+        .filter(part => part && part.trim()).join('\n\n') || undefined;
+      const params = step.params ? { ...this.params, ...step.params } : this.params;
+      const stepInput = pipelineStepInput(step, input, outputs, previousId, stepsById);
+      const result = await this.callSingleAgent(agent, stepInput, { system, params, role: step.role || step.id });
+
+      if (!result.success) {
+        console.log(`❌ Step ${index + 1} failed: ${result.error}`);
+        stopped = { step: step.id, reason: `failed: ${result.error}` };
+        break;
+      }
+
+      outputs.set(step.id, result.result);
+      previousId = step.id;
+      results.push({
+        step: index + 1,
+        id: step.id,
+        role: step.role,
+        agent: agentName,
+        input: step.prompt ? 'prompt template' : step.input.join(', '),
+        output: result.result
+      });
+      console.log(`✅ Step ${index + 1} completed`);
+
+      if (step.output) {
+        fs.mkdirSync(path.dirname(path.resolve(step.output)), { recursive: true });
+        writeFileAtomic(step.output, result.result);
+        console.log(`💾 Step output saved to ${step.output}`);
+      }
+
+      const reason = pipelineStopReason(step.stopIf, result.result);
+      if (reason && index < definition.steps.length - 1) {
+        console.log(`⏹️  Stopping after step ${index + 1}: ${reason}`);
+        stopped = { step: step.id, reason };
+        break;
+      }
+    }
+
+    if (results.length === 0) return null;
+    this.pipeline = { name: definition.name, file: definition.file, steps: results, stopped };
+    return this.synthesizePipelineResults(definition, results, stopped);
+  }
+
+  /**
+   * Agents answer independently and in parallel; their answers are then
+   * compared claim by claim (see analyzeConsensus) and, with a `judge`, by
+   * a judge model. The scores and points are kept in `this.consensus`.
+   */
+  async runConsensusMode(input, agents, { judge = null } = {}) {
+    const responses = [];
+
+    console.log(`\n📊 Consulting ${agents.length} agents in parallel...`);
+    // Streams would interleave, so answers are only shown once complete
+    const results = await Promise.all(agents.map(agent => this.callSingleAgent(agent, input, { stream: false })));
+
+    agents.forEach((agent, index) => {
+      const result = results[index];
+      if (result.success) {
+        responses.push({ agent: `${agent.provider}-${agent.model}`, response: result.result });
+        console.log(`✅ ${agent.provider}-${agent.model} responded (${result.result.length} chars)`);
       } else {
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>QA AI Agent Output</title>
-    <style>
-        body { 
-          font-family: 'Monaco', 'Menlo', monospace; 
-          max-width: 900px; 
-          margin: 0 auto; 
-          padding: 20px; 
-          white-space: pre-wrap; 
-          background: #f8f9fa;
-          color: #24292e;
-        }
-        .container {
-          background: white;
-          padding: 30px;
-          border-radius: 8px;
-          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .timestamp { 
-          color: #6a737d; 
-          font-size: 0.9em; 
-          margin-top: 20px; 
-          padding-top: 20px;
-          border-top: 1px solid #e1e4e8;
+        console.log(`❌ ${agent.provider}-${agent.model} failed: ${result.error}`);
+      }
+    });
+    if (responses.length === 0) return null;
+
+    const analysis = analyzeConsensus(responses);
+    if (analysis.agreement !== null) console.log(`📈 Agreement between the answers: ${analysis.agreement}%`);
+    const verdict = responses.length > 1 ? await this.judgeConsensus(input, responses, judge) : null;
+
+    this.consensus = {
+      agreement: analysis.agreement,
+      pairs: analysis.pairs,
+      agentAgreement: analysis.agentAgreement,
+      votes: analysis.votes,
+      points: verdict?.points || analysis.points,
+      judge: judge ? formatModelRef(judge) : null,
+      judgeAgreement: verdict?.agreement ?? null
+    };
+    return this.synthesizeConsensusResults(input, responses, analysis, verdict);
+  }
+
+  // The judge's parsed verdict, or null without a judge or when it fails
+  async judgeConsensus(input, responses, judge) {
+    if (!judge) return null;
+    console.log(`\n⚖️  Judge ${formatModelRef(judge)} is comparing the answers...`);
+    const prompt = `Question:\n${input}\n\n` + responses.map(r => `### Agent: ${r.agent}\n${r.response}`).join('\n\n');
+    const result = await this.callSingleAgent(judge, prompt, { system: CONSENSUS_JUDGE_PROMPT, role: 'judge', stream: false });
+    if (!result.success) {
+      console.log(`⚠️  Judge failed: ${result.error}`);
+      return null;
+    }
+    const verdict = parseJudgeVerdict(result.result, responses.map(r => r.agent));
+    if (!verdict) console.log('⚠️  The judge did not reply with the expected JSON, using local scoring only');
+    return verdict;
+  }
+
+  async callSingleAgent(agent, input, { stream = true, system = this.system, params = this.params, role = null } = {}) {
+    const model = this.models[agent.provider];
+    if (!model) return { success: false, error: 'Provider not found' };
+
+    try {
+      const progress = headless ? process.stderr : process.stdout;
+      const request = { input, model: agent.model, system, params };
+      const startedAt = Date.now();
+      const { text, usage, cached } = await callModel(model, request, stream ? token => progress.write(token) : null);
+      if (stream) progress.write('\n');
+      if (!text) return { success: false, error: 'Model returned empty response', errorType: 'empty_response' };
+      if (cached) console.log('💾 Served from response cache');
+      const cost = computeCost(usage, agent.provider, agent.model, cached);
+      this.calls.push({
+        agent: `${agent.provider}-${agent.model}`,
+        ...(role ? { role } : {}),
+        ...(params !== this.params ? { params } : {}),
+        usage,
+        cost,
+        latencyMs: Date.now() - startedAt,
+        prompt: chatMessages(system, input)
+      });
+      return { success: true, result: text, usage, cost, cached };
+    } catch (error) {
+      return { success: false, error: error.message, errorType: error.type || 'unknown' };
+    }
+  }
+
+  synthesizeDebateResults(synthesis, transcript, { rounds, stances, moderator }) {
+    const agents = [...new Set(transcript.map(turn => turn.agent))];
+    let report = '\n🎯 MULTI-AGENT DEBATE SYNTHESIS\n' + '='.repeat(60) + '\n';
+    const stanceNote = stances.some(Boolean) ? ` · stances: ${stances.map(stance => stance || 'none').join(' / ')}` : '';
+    report += `${agents.length} agents · ${rounds} rounds · ${transcript.length} answers${stanceNote}` +
+      (moderator ? ` · moderator: ${moderator}` : '') + '\n\n';
+
+    if (synthesis) {
+      report += `${synthesis}\n`;
+    } else {
+      report += `⚠️ ${moderator ? 'The moderator could not review the debate' : 'No moderator was chosen'}, so these are the final positions:\n\n`;
+      agents.forEach(agent => {
+        const last = transcript.filter(turn => turn.agent === agent).pop();
+        report += `## ${debateSpeaker(last)}\n\n${last.response}\n\n`;
+      });
+    }
+
+    report += '\n📜 DEBATE TRANSCRIPT\n' + '='.repeat(60) + '\n\n';
+    report += formatDebateTranscript(transcript) + '\n';
+    return report;
+  }
+
+  synthesizePipelineResults(definition, results, stopped) {
+    let synthesis = '\n🔗 MULTI-AGENT PIPELINE SYNTHESIS\n' + '='.repeat(60) + '\n';
+    
+    synthesis += `📊 **${definition.name}:** ${results.length} of ${definition.steps.length} steps completed\n`;
+    if (definition.description) synthesis += `${definition.description}\n`;
+    if (stopped) synthesis += `⏹️ Stopped after step "${stopped.step}": ${stopped.reason}\n`;
+    synthesis += '\n';
+    
+    results.slice(0, -1).forEach(result => {
+      synthesis += `**Step ${result.step}: ${result.role || result.id}** (${result.agent}, input: ${result.input})\n`;
+      synthesis += `${result.output}\n\n`;
+    });
+
+    const last = results[results.length - 1];
+    synthesis += `📈 **FINAL OUTPUT** (step ${last.step}: ${last.role || last.id}, ${last.agent}):\n`;
+    synthesis += '='.repeat(40) + '\n';
+    synthesis += last.output;
+
+    return synthesis;
+  }
+
+  synthesizeConsensusResults(input, responses, analysis, verdict) {
+    const agents = responses.map(r => r.agent);
+    let report = '\n🤝 MULTI-AGENT CONSENSUS ANALYSIS\n' + '='.repeat(60) + '\n';
+    report += `📋 **Original Query:** ${input.length > 200 ? `${input.substring(0, 200)}...` : input}\n\n`;
+    report += `👥 **${agents.length} AI Agents Consulted:** ${agents.join(', ')}\n\n`;
+
+    if (analysis.pairs.length > 0) {
+      report += '📈 **AGREEMENT**\n';
+      report += `Overall: ${analysis.agreement}% of the claims are shared (lexical comparison)` +
+        (verdict?.agreement != null ? ` · judge: ${verdict.agreement}%` : '') + '\n';
+      analysis.pairs.forEach(pair => {
+        report += `• ${pair.agents[0]} ↔ ${pair.agents[1]}: ${pair.agreement}%\n`;
+      });
+      report += '\n';
+    }
+
+    if (analysis.votes.length > 0) {
+      report += '🗳️ **VOTES**\n';
+      analysis.votes.forEach(vote => {
+        const tally = Object.entries(vote.votes).map(([value, voters]) => `${value}: ${voters.join(', ')}`).join('; ');
+        report += vote.majority
+          ? `• ${vote.label}: **${vote.winner}** (${vote.votes[vote.winner].length} of ${vote.voters})` +
+            (Object.keys(vote.votes).length > 1 ? ` — dissent: ${tally.split('; ').slice(1).join('; ')}` : '') + '\n'
+          : `• ${vote.label}: no majority (${tally})\n`;
+      });
+      report += '\n';
+    }
+
+    report += '✅ **MERGED ANSWER**\n' + '='.repeat(40) + '\n';
+    if (verdict?.answer) report += `${verdict.answer}\n\n`;
+
+    const points = verdict?.points || analysis.points;
+    const shared = points.filter(point => point.agents.length > 1 || agents.length === 1);
+    const single = points.filter(point => point.agents.length === 1 && agents.length > 1);
+    const pointLine = point => {
+      const missing = agents.filter(agent => !point.agents.includes(agent));
+      const dissent = point.dissent?.length
+        ? ` ⚠️ dissent: ${point.dissent.map(entry => `${entry.agent}${entry.position ? ` (${entry.position})` : ''}`).join('; ')}`
+        : (missing.length && point.agents.length > 1 ? ` — not raised by ${missing.join(', ')}` : '');
+      return `• ${point.text} [${point.agents.join(', ') || 'no agent'}]${dissent}\n`;
+    };
+    if (shared.length > 0) {
+      report += `**Points supported by several agents** (${verdict ? 'per the judge' : 'matched by wording'}):\n`;
+      [...shared].sort((a, b) => b.agents.length - a.agents.length).forEach(point => { report += pointLine(point); });
+    } else if (agents.length > 1) {
+      report += '⚖️ The agents share no points; compare their answers below.\n';
+    }
+    if (single.length > 0) {
+      report += `\n**Raised by one agent only:**\n`;
+      single.forEach(point => { report += pointLine(point); });
+    }
+
+    report += '\n📄 **INDIVIDUAL ANSWERS**\n' + '='.repeat(40) + '\n';
+    responses.forEach(r => {
+      const agreement = analysis.agentAgreement[r.agent];
+      report += `\n🤖 **${r.agent.toUpperCase()}**${agreement !== null ? ` (agrees ${agreement}% with the others)` : ''}\n${r.response}\n`;
+    });
+    return report;
+  }
+}
+
+// =====================
+// UTILITY FUNCTIONS
+// =====================
+// Set by the CLI runner. In headless mode nothing may prompt on stdin and
+// progress output goes to stderr so stdout only carries the result.
+let headless = false;
+
+// Created lazily so headless runs can read piped input from stdin
+let rl = null;
+
+function getReadline() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer: completeChatInput,
+      history: loadInputHistory(),
+      historySize: INPUT_HISTORY_SIZE,
+      removeHistoryDuplicates: true
+    });
+  }
+  return rl;
+}
+
+async function ask(prompt) {
+  if (headless) {
+    throw new Error(`Interactive input required: "${prompt.trim()}" (pass it as a CLI option instead)`);
+  }
+  return new Promise(resolve => getReadline().question(prompt, resolve));
+}
+
+function getAvailableProviders() {
+  return Object.keys(MODELS).filter(isProviderAvailable);
+}
+
+/**
+ * Resolves provider and model from options, falling back to the interactive
+ * pickers. Headless runs default to the first available provider/model.
+ */
+async function resolveModelSelection(options = {}, prompt = 'Choose AI provider:') {
+  const providers = getAvailableProviders();
+  if (providers.length === 0) {
+    throw new Error('No API keys configured. Please set up your environment variables.');
+  }
+
+  let selectedProvider;
+  if (options.provider) {
+    if (!MODELS[options.provider]) {
+      throw new Error(`Unknown provider "${options.provider}". Available: ${Object.keys(MODELS).join(', ')}`);
+    }
+    selectedProvider = options.provider;
+  } else if (headless) {
+    selectedProvider = providers[0];
+  } else {
+    const providerIndex = await selectFromList(providers, prompt, 0);
+    selectedProvider = providers[providerIndex];
+  }
+
+  const model = MODELS[selectedProvider];
+  let selectedModel;
+  if (options.model) {
+    selectedModel = model.models.find(m => m.id === options.model) ||
+      { id: options.model, desc: `${options.model} - Custom model 🎯`, cost: 'Variable' };
+  } else if (model.models.length > 1 && !headless) {
+    const modelIndex = await selectFromList(model.models, `Choose ${model.name} model:`, 0);
+    selectedModel = model.models[modelIndex];
+  } else {
+    selectedModel = model.models[0];
+  }
+
+  if (!selectedModel) {
+    throw new Error(`No models available for ${model.name}. Pass one with --model.`);
+  }
+
+  return { provider: selectedProvider, model, selectedModel };
+}
+
+async function selectFromList(items, prompt, defaultIndex = 0, showIcons = false) {
+  console.log(`\n${prompt}`);
+  items.forEach((item, index) => {
+    const icon = showIcons && item.icon ? `${item.icon} ` : '';
+    const display = typeof item === 'string' ? item : item.desc || item.name || item;
+    console.log(`${index + 1}. ${icon}${display}`);
+  });
+  
+  const choice = await ask(`\nEnter number (1-${items.length}, default: ${defaultIndex + 1}): `);
+  const selectedIndex = parseInt(choice.trim()) - 1;
+  
+  if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= items.length) {
+    return defaultIndex;
+  }
+  return selectedIndex;
+}
+
+function displayResult(result, taskName, model = '') {
+  console.log('\n' + '='.repeat(70));
+  console.log(`📋 RESULT: ${taskName.toUpperCase()}`);
+  if (model) console.log(`🤖 Model: ${model}`);
+  console.log('='.repeat(70));
+  console.log(result);
+  console.log('='.repeat(70) + '\n');
+}
+
+function buildExportFileName(taskName, format) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('.')[0];
+  const cleanTaskName = taskName.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+  return `${cleanTaskName}_${timestamp}${format.extension}`;
+}
+
+// Converter metadata; a note is only added when a fallback model answered
+function exportMeta(model, options = {}) {
+  return {
+    model,
+    note: options.fallbackUsed ? `Answered by: ${model}` : null
+  };
+}
+
+/**
+ * Non-interactive export used by the CLI subcommands. Prints to stdout when
+ * no --out is given; --out may be a file path or a directory.
+ */
+function writeResultOutput(result, taskName, model = '', options = {}) {
+  const outExtension = options.out ? path.extname(options.out).slice(1) : '';
+  const formatKey = options.format || (EXPORT_FORMATS[outExtension] ? outExtension : 'txt');
+  const format = EXPORT_FORMATS[formatKey];
+  if (!format) {
+    throw new Error(`Unknown format "${formatKey}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  writeOutputFile(format.converter(result, exportMeta(model, options)), taskName, format, options.out);
+  return true;
+}
+
+// Writes finished content to stdout (no `out` or "-"), a file or a directory
+function writeOutputFile(content, taskName, format, out) {
+  if (!out || out === '-') {
+    process.stdout.write(content.endsWith('\n') ? content : content + '\n');
+    return null;
+  }
+
+  let fullPath = out;
+  const isDirectory = /[\\/]$/.test(fullPath) ||
+    (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory());
+  if (isDirectory) {
+    fs.mkdirSync(fullPath, { recursive: true });
+    fullPath = path.join(fullPath, buildExportFileName(taskName, format));
+  } else {
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  }
+
+  fs.writeFileSync(fullPath, content, 'utf8');
+  console.log(`✅ ${format.name} exported to ${fullPath}`);
+  return fullPath;
+}
+
+async function exportResult(result, taskName, model = '', options = {}) {
+  if (headless || options.format || options.out) {
+    return writeResultOutput(result, taskName, model, options);
+  }
+
+  const outputActions = [
+    '👀 Display in Terminal',
+    '💾 Export to File',
+    '📺 Both Display & Export'
+  ];
+  
+  const actionIndex = await selectFromList(outputActions, "Choose output action:", 0);
+  const action = outputActions[actionIndex];
+  
+  if (action.includes('Display')) {
+    displayResult(result, taskName, model);
+  }
+  
+  if (action.includes('Export')) {
+    const formatEntries = Object.entries(EXPORT_FORMATS);
+    const formatItems = formatEntries.map(([key, value]) => ({
+      key,
+      desc: `${value.icon} ${value.name} (${value.extension})`,
+      ...value
+    }));
+    
+    const formatIndex = await selectFromList(formatItems, "Choose export format:", 0, true);
+    const selectedFormat = formatItems[formatIndex];
+    
+    let exportPath = './output';
+    const useCustomPath = await ask("\nUse custom export path? (y/n, default: n): ");
+    
+    if (useCustomPath.trim().toLowerCase() === 'y') {
+      exportPath = await ask("Enter export directory path: ");
+      try {
+        fs.mkdirSync(exportPath, { recursive: true });
+      } catch (error) {
+        console.log(`⚠️  Could not create directory: ${error.message}`);
+        exportPath = './output';
+      }
+    } else {
+      if (!fs.existsSync(exportPath)) {
+        fs.mkdirSync(exportPath, { recursive: true });
+      }
+    }
+    
+    const fileName = buildExportFileName(taskName, selectedFormat);
+    const fullPath = path.join(exportPath, fileName);
+    
+    try {
+      const convertedContent = selectedFormat.converter(result, exportMeta(model, options));
+      fs.writeFileSync(fullPath, convertedContent, 'utf8');
+      
+      const stats = fs.statSync(fullPath);
+      console.log(`\n✅ File exported successfully!`);
+      console.log(`📁 Location: ${fullPath}`);
+      console.log(`${selectedFormat.icon} Format: ${selectedFormat.name}`);
+      console.log(`📏 Size: ${(stats.size / 1024).toFixed(2)} KB\n`);
+      
+      //New openfile functionality
+      const openFile = await ask("Open the file? (y/n, default: n): ");
+      if (openFile.trim().toLowerCase() === 'y') {
+        try {
+          const platform = process.platform;
+          let cmd;
+
+          if (platform === 'darwin') cmd = 'open';
+          else if (platform === 'win32') cmd = 'start';
+          else cmd = 'xdg-open';
+
+          spawn(cmd, [fullPath], {
+            shell: true,
+            detached: true,
+            stdio: 'ignore'
+          });
+
+          console.log(`🚀 Opening file with default application...\n`);
+        } catch (error) {
+          console.log(`⚠️  Could not open file: ${error.message}\n`);
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>🤖 QA AI Agent Output</h1>
-        ${content.replace(/</g, '<').replace(/>/g, '>')}
-        <div class="timestamp">
-            <strong>Generated:</strong> ${new Date().toLocaleString()}<br>
-            <strong>Tool:</strong> Enhanced QA AI Agent CLI v3.0
-        </div>
-    </div>
-</body>
-</html>`;
       }
+      
+    } catch (error) {
+      console.log(`❌ Export failed: ${error.message}\n`);
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+// =====================
+// PROVIDER ERRORS
+// =====================
+// Every provider failure is normalized into one of these so the CLI, batch
+// reports and retry logic can tell a bad key from a busy server.
+class ProviderError extends Error {
+  constructor(message, { provider = null, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get type() { return 'provider'; }
+  get retryable() { return false; }
+}
+
+class AuthError extends ProviderError {
+  get type() { return 'auth'; }
+}
+
+class RateLimitError extends ProviderError {
+  get type() { return 'rate_limit'; }
+  get retryable() { return true; }
+}
+
+class QuotaError extends ProviderError {
+  get type() { return 'quota'; }
+}
+
+class ContextLengthError extends ProviderError {
+  get type() { return 'context_length'; }
+}
+
+class ServerError extends ProviderError {
+  get type() { return 'server'; }
+  get retryable() { return true; }
+}
+
+class NetworkError extends ProviderError {
+  get type() { return 'network'; }
+  get retryable() { return true; }
+}
+
+class TimeoutError extends NetworkError {
+  get type() { return 'timeout'; }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function classifyHttpError(config, res, bodyText) {
+  let json = null;
+  try {
+    json = JSON.parse(bodyText);
+  } catch {}
+
+  const detail = (json && getAdapter(config).parseError(json)) || bodyText.substring(0, 300) || res.statusText;
+  const details = {
+    provider: config.name,
+    status: res.status,
+    retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+  };
+  // Error codes and types only: words like "billing" also turn up in ordinary messages
+  const errorCodes = `${json?.error?.code || ''} ${json?.error?.type || ''}`;
+  const signature = `${errorCodes} ${detail}`;
+  const prefix = `${config.name} (HTTP ${res.status})`;
+
+  if (res.status === 401 || res.status === 403) {
+    return new AuthError(`${prefix}: authentication failed - ${detail}. Check your API key.`, details);
+  }
+  if (res.status === 402 || /insufficient_quota|quota_exceeded|billing_hard_limit_reached|billing_not_active|insufficient_credits/i.test(errorCodes)) {
+    return new QuotaError(`${prefix}: quota or credit exhausted - ${detail}`, details);
+  }
+  if (res.status === 429) {
+    return new RateLimitError(`${prefix}: rate limited - ${detail}`, details);
+  }
+  if (/context_length|context length|maximum context|context window|too many tokens|prompt is too long/i.test(signature)) {
+    return new ContextLengthError(`${prefix}: input too long for this model - ${detail}`, details);
+  }
+  if (res.status === 408) {
+    return new TimeoutError(`${prefix}: request timed out - ${detail}`, details);
+  }
+  if (res.status >= 500) {
+    return new ServerError(`${prefix}: server error - ${detail}`, details);
+  }
+  return new ProviderError(`${prefix}: ${detail}`, details);
+}
+
+function toNetworkError(config, error, timeoutMs) {
+  if (error instanceof ProviderError) return error;
+  if (error.name === 'AbortError') {
+    return new TimeoutError(`${config.name}: no response within ${timeoutMs / 1000}s`, { provider: config.name });
+  }
+  return new NetworkError(`${config.name}: network error - ${error.message}`, { provider: config.name });
+}
+
+// Aborts when neither response headers nor stream data arrive within `ms`,
+// so slow but steadily streaming local models are not cut off
+function createIdleTimeout(ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), ms);
+  };
+  reset();
+  return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+// --timeout and --retries for this run; they win over endpoint and config settings
+let runOverrides = {};
+
+function getRequestSettings(config) {
+  return {
+    timeoutMs: runOverrides.timeoutMs ?? config.timeoutMs ?? CONFIG.timeoutMs ?? 120000,
+    retries: runOverrides.retries ?? config.retries ?? CONFIG.retries ?? 3,
+    backoffMs: CONFIG.retryBackoffMs ?? 1000,
+    maxRetryDelayMs: CONFIG.maxRetryDelayMs ?? 60000
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// =====================
+// STREAMING
+// =====================
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Server-Sent Events as used by OpenAI-style APIs; yields parsed data payloads
+async function* parseSSE(body) {
+  for await (const line of readLines(body)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) continue; // comments, event names, keep-alives
+    const data = trimmed.slice(5).trim();
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch {}
+  }
+}
+
+// Newline-delimited JSON as streamed by Ollama
+async function* parseNDJSON(body) {
+  for await (const line of readLines(body)) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {}
+  }
+}
+
+const STREAM_PARSERS = {
+  sse: parseSSE,
+  ndjson: parseNDJSON
+};
+
+function buildProviderRequest(config, request, stream) {
+  return getAdapter(config).buildRequest(config, {
+    ...request,
+    model: request.model || config.defaultModel,
+    stream
+  });
+}
+
+/**
+ * Sends the request, retrying retryable failures with exponential backoff
+ * (or the provider's Retry-After). Only the request itself is retried: once
+ * a stream has started, tokens may already be on screen.
+ */
+async function sendProviderRequest(config, request, stream) {
+  const { timeoutMs, retries, backoffMs, maxRetryDelayMs } = getRequestSettings(config);
+  const { url, headers, body } = buildProviderRequest(config, request, stream);
+
+  for (let attempt = 0; ; attempt++) {
+    const timeout = createIdleTimeout(timeoutMs);
+    try {
+      let res;
+      try {
+        res = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: timeout.signal
+        });
+      } catch (error) {
+        throw toNetworkError(config, error, timeoutMs);
+      }
+
+      if (!res.ok) throw classifyHttpError(config, res, await res.text());
+      return { res, timeout };
+    } catch (error) {
+      timeout.clear();
+      if (!error.retryable || attempt >= retries) throw error;
+
+      const backoff = backoffMs * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      const delay = error.retryAfterMs ?? backoff;
+      if (delay > maxRetryDelayMs) throw error;
+
+      console.log(`\n⏳ ${error.message}\n   Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Streams a request through the provider's adapter. Yields `{ text }` chunks
+ * as they arrive and a `{ usage }` chunk when the provider reports it.
+ */
+async function* streamCompletion(config, request) {
+  const adapter = getAdapter(config);
+  if (adapter.stream) {
+    yield* adapter.stream(config, { ...request, model: request.model || config.defaultModel });
+    return;
+  }
+
+  const { res, timeout } = await sendProviderRequest(config, request, true);
+
+  try {
+    for await (const event of STREAM_PARSERS[adapter.streamFormat](res.body)) {
+      timeout.reset();
+      const chunk = adapter.parseStreamEvent(event);
+      if (chunk.error) throw new ProviderError(`${config.name}: ${chunk.error}`, { provider: config.name });
+      if (chunk.text || chunk.usage) yield chunk;
+    }
+  } catch (error) {
+    throw toNetworkError(config, error, getRequestSettings(config).timeoutMs);
+  } finally {
+    timeout.clear();
+  }
+}
+
+/**
+ * The single request path used by every feature. Streams by default,
+ * reporting tokens through onToken, and resolves to `{ text, usage, cached }`.
+ * Cached responses are replayed through onToken in one piece.
+ */
+async function callModel(config, request, onToken = null) {
+  const cacheable = responseCache.mode !== 'off' && getAdapter(config).cacheable !== false;
+  const cacheKey = cacheable ? responseCache.keyFor(config, request) : null;
+  const cached = cacheKey && responseCache.get(cacheKey);
+  if (cached) {
+    onToken?.(cached.text);
+    // Record mode still captures prompts answered from the cache
+    recordFixture(config, request, cached);
+    return { text: cached.text, usage: cached.usage, cached: true };
+  }
+
+  // Cache hits are free, so only real requests count against budgets and rate limits.
+  // The budget is checked once a rate limit slot is free, so parallel requests see each other
+  const provider = providerIdOf(config);
+  const model = request.model || config.defaultModel;
+  const estimate = estimateRun([request.input], provider, model);
+  const limiter = getRateLimiter(provider);
+  const slot = await limiter?.acquire(estimate.usage.totalTokens);
+  // A failed request still counts as a request, but no longer holds its estimated tokens
+  let usage = { totalTokens: 0 };
+  let response, reservation;
+  try {
+    reservation = budgetTracker.reserve({ tokens: estimate.usage.totalTokens, cost: estimate.cost });
+    response = await requestModel(config, request, onToken);
+    usage = response.usage || {
+      totalTokens: estimateTokens(request.input) + estimateTokens(response.text)
+    };
+  } catch (error) {
+    budgetTracker.release(reservation);
+    throw error;
+  } finally {
+    limiter?.settle(slot, usage.totalTokens);
+  }
+  budgetTracker.record({ provider, model, usage, cost: computeCost(response.usage, provider, model), reservation });
+  if (cacheKey && response.text) {
+    responseCache.set(cacheKey, {
+      provider: config.name,
+      model: request.model || config.defaultModel,
+      promptPreview: request.input.substring(0, 200),
+      text: response.text,
+      usage: response.usage
+    });
+  }
+  recordFixture(config, request, response);
+  return { ...response, cached: false };
+}
+
+async function requestModel(config, request, onToken) {
+  if (request.stream === false && !getAdapter(config).stream) {
+    const { res, timeout } = await sendProviderRequest(config, request, false);
+    let json;
+    try {
+      json = await res.json();
+    } catch (error) {
+      throw toNetworkError(config, error, getRequestSettings(config).timeoutMs);
+    } finally {
+      timeout.clear();
+    }
+    const { text, usage } = getAdapter(config).parseResponse(json);
+    return { text: (text || '').trim(), usage: usage ? mergeUsage(null, usage) : null };
+  }
+
+  let text = '';
+  let usage = null;
+  for await (const chunk of streamCompletion(config, request)) {
+    if (chunk.text) {
+      text += chunk.text;
+      onToken?.(chunk.text);
     }
+    if (chunk.usage) usage = mergeUsage(usage, chunk.usage);
   }
+  return { text: text.trim(), usage };
+}
+
+/**
+ * Async-iterator API for programmatic callers:
+ *   for await (const token of streamAgent('openai', 'Hi', 'gpt-4o-mini')) { ... }
+ * `options` takes `system` and `params` like the CLI flags.
+ */
+async function* streamAgent(modelConfig, inputText, submodel, options = {}) {
+  const model = MODELS[modelConfig];
+  if (!model) throw new Error(`Model ${modelConfig} not supported.`);
+  const request = {
+    input: inputText,
+    model: submodel,
+    system: resolveSystemPrompt(options),
+    params: resolveGenerationParams(null, options.params)
+  };
+  for await (const chunk of streamCompletion(model, request)) {
+    if (chunk.text) yield chunk.text;
+  }
+}
+
+// =====================
+// MOCK / REPLAY PROVIDER
+// =====================
+// The `mock` provider answers from fixture files instead of a real model, so
+// prompt templates, reports and the multi-agent modes can be developed and
+// tested offline. A fixture looks like:
+//   { "match": { "type": "regex", "value": "Bug Title" }, "model": "agent-a",
+//     "response": "...", "usage": { "promptTokens": 10, "completionTokens": 5 } }
+// `match.type` is "exact" (prompt text), "hash" (sha256 of the prompt) or
+// "regex"; without a `match` the replay.match setting and `prompt` are used.
+// The prompt is the whole conversation sent (see replayPrompt), so a task
+// template, debate stance or chat history selects a different fixture.
+// `model` is optional and lets mock:<model> agents answer differently.
+// A fixture with `error: { type, message }` simulates a provider failure.
+// Record mode (--record or replay.record) saves real exchanges as fixtures.
+const REPLAY_ERROR_TYPES = {
+  auth: AuthError,
+  rate_limit: RateLimitError,
+  quota: QuotaError,
+  context_length: ContextLengthError,
+  server: ServerError,
+  network: NetworkError,
+  timeout: TimeoutError
 };
 
+function getReplaySettings() {
+  return {
+    fixturesDir: './fixtures',
+    match: 'hash',
+    onMiss: 'error', // or 'echo' to answer unmatched prompts with a stub
+    record: false,
+    ...CONFIG.replay
+  };
+}
+
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * The text fixtures are matched and hashed on: the input alone when it is
+ * the only message, otherwise every message (system prompt with template or
+ * stance, chat history, input) with its role. Generation parameters are
+ * left out, so a fixture recorded from any provider replays on mock.
+ */
+function replayPrompt(request) {
+  const messages = chatMessages(request.system, request.input, request.history);
+  if (messages.length === 1) return request.input;
+  return messages.map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+}
+
+// Throws unless the fixture can be matched and answered
+function validateFixture(fixture) {
+  if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) throw new Error('not a JSON object');
+  if (typeof fixture.response !== 'string' && !fixture.error) throw new Error('needs a "response" or an "error"');
+  const match = typeof fixture.match === 'string' ? { type: fixture.match } : fixture.match;
+  if (match?.type && !['exact', 'hash', 'regex'].includes(match.type)) throw new Error(`unknown match type "${match.type}"`);
+  if (match?.type === 'regex') {
+    if (typeof match.value !== 'string') throw new Error('a regex match needs a "value"');
+    try {
+      new RegExp(match.value, match.flags || '');
+    } catch (error) {
+      throw new Error(`invalid regex: ${error.message}`);
+    }
+  }
+  return fixture;
+}
+
+// Read once per run and fixtures directory; recordFixture adds to the loaded list
+const loadedFixtures = new Map();
+
+function loadFixtures(fixturesDir = getReplaySettings().fixturesDir) {
+  if (loadedFixtures.has(fixturesDir)) return loadedFixtures.get(fixturesDir);
+  if (!fs.existsSync(fixturesDir)) return [];
+
+  const fixtures = fs.readdirSync(fixturesDir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .flatMap(f => {
+      try {
+        const content = JSON.parse(fs.readFileSync(path.join(fixturesDir, f), 'utf8'));
+        // A file may hold a single fixture or an array of them
+        return (Array.isArray(content) ? content : [content]).flatMap((fixture, index) => {
+          try {
+            return [{ ...validateFixture(fixture), file: f }];
+          } catch (error) {
+            console.log(`⚠️  Skipping fixture ${f}${Array.isArray(content) ? ` #${index + 1}` : ''}: ${error.message}`);
+            return [];
+          }
+        });
+      } catch (error) {
+        console.log(`⚠️  Skipping invalid fixture ${f}: ${error.message}`);
+        return [];
+      }
+    });
+  loadedFixtures.set(fixturesDir, fixtures);
+  return fixtures;
+}
+
+function fixtureMatches(fixture, prompt, defaultMatch) {
+  const match = typeof fixture.match === 'string'
+    ? { type: fixture.match }
+    : { type: defaultMatch, ...fixture.match };
+
+  switch (match.type) {
+    case 'exact':
+      return (match.value ?? fixture.prompt) === prompt;
+    case 'hash':
+      return (match.value ?? hashPrompt(fixture.prompt ?? '')) === hashPrompt(prompt);
+    case 'regex':
+      return new RegExp(match.value, match.flags || '').test(prompt);
+    default:
+      return false;
+  }
+}
+
+// Fixtures recorded for the requested model win over model-less ones
+function findFixture(request) {
+  const settings = getReplaySettings();
+  const prompt = replayPrompt(request);
+  const candidates = loadFixtures(settings.fixturesDir)
+    .filter(fixture => fixtureMatches(fixture, prompt, settings.match));
+
+  return candidates.find(fixture => fixture.model === request.model) ||
+    candidates.find(fixture => !fixture.model || request.model === 'replay');
+}
+
+async function* replayFixture(request) {
+  const settings = getReplaySettings();
+  const fixture = findFixture(request);
+
+  let text;
+  if (fixture) {
+    if (fixture.error) {
+      const ErrorClass = REPLAY_ERROR_TYPES[fixture.error.type] || ProviderError;
+      throw new ErrorClass(`Mock (${fixture.file}): ${fixture.error.message || fixture.error.type}`, { provider: 'Mock' });
+    }
+    if (fixture.delayMs) await sleep(fixture.delayMs);
+    text = fixture.response;
+  } else if (settings.onMiss === 'echo') {
+    text = `[mock ${request.model}] ${request.input.substring(0, 200)}`;
+  } else {
+    throw new ProviderError(
+      `Mock: no fixture in ${settings.fixturesDir} matches this prompt (sha256 ${hashPrompt(replayPrompt(request)).substring(0, 12)})`,
+      { provider: 'Mock' }
+    );
+  }
+
+  // Word-sized chunks so streaming output behaves like a real provider
+  for (const chunk of text.split(/(?<=\s)/)) {
+    yield { text: chunk };
+  }
+  yield {
+    usage: fixture?.usage || {
+      promptTokens: estimateTokens(request.input),
+      completionTokens: estimateTokens(text)
+    }
+  };
+}
+
+// mock:<model> choices for every model that has recorded fixtures
+function refreshMockModels() {
+  const fixtureModels = [...new Set(loadFixtures().map(f => f.model).filter(Boolean))];
+  MODELS.mock.models = [
+    MODELS.mock.models.find(m => m.id === 'replay'),
+    ...fixtureModels.map(id => ({ id, desc: `${id} - Recorded fixtures 🧪`, cost: 'Free' }))
+  ];
+}
+
+function providerIdOf(config) {
+  return Object.keys(MODELS).find(id => MODELS[id] === config) || config.name;
+}
+
+/**
+ * Record mode: saves a real exchange (request body, response, usage) as a
+ * fixture the mock provider can replay.
+ */
+function recordFixture(config, request, response) {
+  const settings = getReplaySettings();
+  if (!settings.record || !response.text || getAdapter(config).cacheable === false) return;
+
+  const { body } = buildProviderRequest(config, request, false);
+  const prompt = replayPrompt(request);
+  const hash = hashPrompt(prompt);
+  const provider = providerIdOf(config);
+  const fixture = {
+    recordedAt: new Date().toISOString(),
+    provider,
+    model: body.model,
+    match: settings.match === 'exact' ? { type: 'exact' } : { type: 'hash', value: hash },
+    prompt,
+    request: body,
+    response: response.text,
+    usage: response.usage
+  };
+
+  try {
+    fs.mkdirSync(settings.fixturesDir, { recursive: true });
+    const slug = `${provider}-${body.model || 'default'}`.replace(/[^a-zA-Z0-9_.-]+/g, '_');
+    const file = `${slug}-${hash.substring(0, 12)}.json`;
+    fs.writeFileSync(path.join(settings.fixturesDir, file), JSON.stringify(fixture, null, 2), 'utf8');
+    loadedFixtures.get(settings.fixturesDir)?.push({ ...fixture, file });
+  } catch (error) {
+    console.log(`⚠️  Could not record fixture: ${error.message}`);
+  }
+}
+
+// =====================
+// USAGE & COST ACCOUNTING
+// =====================
+// Prices come from `prices` in anyany.config.json ("provider:model" or
+// "provider" keys, per million tokens) before the `price` fields in MODELS.
+function getPrice(provider, model) {
+  const prices = CONFIG.prices || {};
+  const config = MODELS[provider];
+  return prices[`${provider}:${model}`] || prices[provider] ||
+    config?.models.find(m => m.id === model)?.price || config?.price || null;
+}
+
+function getCurrency() {
+  return CONFIG.currency || 'USD';
+}
+
+/**
+ * Cost of one response, or null when the model has no known price. Cached
+ * responses cost nothing; a cost reported by the provider wins over the table.
+ */
+function computeCost(usage, provider, model, cached = false) {
+  if (cached) return 0;
+  if (!usage) return null;
+  if (typeof usage.cost === 'number') return usage.cost;
+
+  const price = getPrice(provider, model);
+  if (!price) return null;
+  return ((usage.promptTokens || 0) * (price.input || 0) +
+    (usage.completionTokens || 0) * (price.output || 0)) / 1_000_000;
+}
+
+// Session metadata with the token usage and cost of a runAgent result
+function usageMetadata(result) {
+  if (!result.usage) return {};
+  const { promptTokens, completionTokens, totalTokens } = result.usage;
+  return {
+    usage: { promptTokens, completionTokens, totalTokens },
+    cost: result.cost ?? null
+  };
+}
+
+/**
+ * Adds up `{ usage, cost }` records (conversation metadata, batch results,
+ * multi-agent calls). `unpriced` counts records whose cost is unknown.
+ */
+function summarizeUsage(records) {
+  const summary = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+  records.forEach(record => {
+    if (!record?.usage) return;
+    summary.requests++;
+    summary.promptTokens += record.usage.promptTokens || 0;
+    summary.completionTokens += record.usage.completionTokens || 0;
+    summary.totalTokens += record.usage.totalTokens || 0;
+    if (typeof record.cost === 'number') summary.cost += record.cost;
+    else summary.unpriced++;
+  });
+  return summary;
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'n/a';
+  return `${cost.toFixed(cost > 0 && cost < 0.01 ? 6 : 4)} ${getCurrency()}`;
+}
+
+// "1,234 tokens (1,000 in / 234 out) · 0.0012 USD"
+function formatUsage(usage, cost) {
+  if (!usage) return 'usage not reported';
+  const tokens = `${usage.totalTokens.toLocaleString()} tokens (${usage.promptTokens.toLocaleString()} in / ${usage.completionTokens.toLocaleString()} out)`;
+  const unpriced = usage.unpriced ? `, ${usage.unpriced} unpriced` : '';
+  return `${tokens} · ${formatCost(cost)}${unpriced}`;
+}
+
+// Rough count (~4 characters per token) for when a provider reports nothing
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
 // =====================
-// MULTI-AGENT SYSTEM
+// BUDGETS
 // =====================
-class MultiAgentOrchestrator {
-  constructor(models) {
-    this.models = models;
+// Limits per session, per batch run and per calendar day, in tokens and/or
+// currency, configured as `budgets` in anyany.config.json:
+// { "budgets": { "batch": { "cost": 2 }, "daily": { "tokens": 1000000 }, "warnAt": [0.5, 0.8] } }
+const BUDGET_SCOPES = ['session', 'batch', 'daily'];
+
+class BudgetExceededError extends Error {
+  constructor(scope, limit, spent) {
+    super(`${scope} budget exhausted: ${formatBudget(spent, limit)} used of ${formatBudget(limit)}`);
+    this.name = 'BudgetExceededError';
+    this.scope = scope;
   }
 
-  async runCollaboration(input, mode, selectedModels, taskName) {
-    console.log(`\n🤖 Multi-Agent ${mode} Mode`);
-    console.log('='.repeat(60));
+  get type() {
+    return 'budget';
+  }
+}
 
-    switch (mode) {
-      case 'Debate':
-        return await this.runDebateMode(input, selectedModels);
-      case 'Pipeline':
-        return await this.runPipelineMode(input, selectedModels);
-      case 'Consensus':
-        return await this.runConsensusMode(input, selectedModels);
-      default:
-        return await this.callSingleAgent(selectedModels[0], input);
-    }
+/**
+ * Accepts a config or CLI limit: 2.5 or "2.5" (currency), "200000 tokens",
+ * "200k tokens", or an object with `tokens` and/or `cost`.
+ */
+function parseBudgetLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') {
+    const limit = {};
+    if (value.tokens !== undefined) limit.tokens = Number(value.tokens);
+    if (value.cost !== undefined) limit.cost = Number(value.cost);
+    if (Object.values(limit).some(n => !(n >= 0))) throw new Error(`Invalid budget: ${JSON.stringify(value)}`);
+    return Object.keys(limit).length ? limit : null;
   }
 
-  async runDebateMode(input, agents, rounds = 2) {
-    const responses = [];
-    
-    for (let round = 1; round <= rounds; round++) {
-      console.log(`\n🗣️  Round ${round} of ${rounds}`);
-      
-      for (const agent of agents) {
-        console.log(`\n🤖 Agent ${agent.provider}-${agent.model} thinking...`);
-        
-        let context = '';
-        if (responses.length > 0) {
-          const recentResponses = responses.slice(-2);
-          context = `\n\nPrevious perspectives:\n${recentResponses.map(r => 
-            `${r.agent}: ${r.response.substring(0, 200)}...`
-          ).join('\n')}\n\nNow provide your perspective, considering the above:`;
-        }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(?:(k|m)?\s*(tokens?|t))?$/i);
+  if (!match) throw new Error(`Invalid budget "${value}". Use an amount like 2.50 or a token count like 200k tokens`);
+  if (!match[3]) return { cost: Number(match[1]) };
+  const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+  return { tokens: Math.round(Number(match[1]) * multiplier) };
+}
 
-        const fullInput = input + context;
-        const result = await this.callSingleAgent(agent, fullInput);
-        
-        if (result.success) {
-          responses.push({
-            round,
-            agent: `${agent.provider}-${agent.model}`,
-            response: result.result
-          });
-          
-          console.log(`✅ Response received (${result.result.length} chars)`);
-        } else {
-          console.log(`❌ Failed: ${result.error}`);
-        }
+// Shows only the units the limit is counted in
+function formatBudget(amounts, limit = amounts) {
+  return [
+    limit.tokens !== undefined ? `${amounts.tokens.toLocaleString()} tokens` : null,
+    limit.cost !== undefined ? formatCost(amounts.cost) : null
+  ].filter(Boolean).join(' / ');
+}
+
+function todayKey() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Counts spending for the current session, the running batch and today, and
+ * refuses new requests once a limit is reached. Today's spending is kept in
+ * an append-only ledger so it carries over between runs.
+ */
+class BudgetTracker {
+  constructor(settings = {}) {
+    this.limits = {};
+    BUDGET_SCOPES.forEach(scope => {
+      try {
+        this.limits[scope] = parseBudgetLimit(settings[scope]);
+      } catch (error) {
+        console.log(`⚠️  Ignoring ${scope} budget: ${error.message}`);
+        this.limits[scope] = null;
       }
-    }
+    });
+    // Reaching a limit always warns, even without a threshold at 1
+    this.warnAt = [...new Set([...(settings.warnAt || [0.8]), 1])].sort((a, b) => a - b);
+    this.ledgerPath = settings.ledger || './sessions/usage-ledger.jsonl';
+    this.spent = { session: { tokens: 0, cost: 0 }, batch: null, daily: null };
+    this.warned = { session: new Set(), batch: new Set(), daily: new Set() };
+    this.pending = new Set();
+    this.day = null;
+  }
 
-    return this.synthesizeDebateResults(responses);
+  // Restarts the session count from what a created or loaded session already used
+  useSession(session) {
+    const totals = summarizeUsage((session?.conversations || []).map(conv => conv.metadata));
+    this.spent.session = { tokens: totals.totalTokens, cost: totals.cost };
+    this.warned.session.clear();
   }
 
-  async runPipelineMode(input, agents) {
-    let currentInput = input;
-    const results = [];
+  startBatch() {
+    this.spent.batch = { tokens: 0, cost: 0 };
+    this.warned.batch.clear();
+  }
 
-    for (let i = 0; i < agents.length; i++) {
-      const agent = agents[i];
-      console.log(`\n📡 Pipeline Step ${i + 1}/${agents.length}: ${agent.provider}-${agent.model}`);
-      
-      const pipelinePrompt = i === 0 ? 
-        currentInput : 
-        `Build upon and refine this previous analysis:\n\n${currentInput}\n\nProvide additional insights, corrections, or enhancements:`;
+  endBatch() {
+    this.spent.batch = null;
+  }
 
-      const result = await this.callSingleAgent(agent, pipelinePrompt);
-      
-      if (result.success) {
-        results.push({
-          step: i + 1,
-          agent: `${agent.provider}-${agent.model}`,
-          input: currentInput.substring(0, 100) + '...',
-          output: result.result
+  dailySpent() {
+    if (this.day !== todayKey()) {
+      this.day = todayKey();
+      this.spent.daily = { tokens: 0, cost: 0 };
+      this.warned.daily.clear();
+      if (fs.existsSync(this.ledgerPath)) {
+        fs.readFileSync(this.ledgerPath, 'utf8').split('\n').forEach(line => {
+          try {
+            const entry = JSON.parse(line);
+            if (!entry.timestamp?.startsWith(this.day)) return;
+            this.spent.daily.tokens += entry.tokens || 0;
+            this.spent.daily.cost += entry.cost || 0;
+          } catch {
+            // Skip blank or partially written lines
+          }
         });
-        
-        currentInput = result.result;
-        console.log(`✅ Step ${i + 1} completed`);
-      } else {
-        console.log(`❌ Step ${i + 1} failed: ${result.error}`);
-        break;
       }
     }
+    return this.spent.daily;
+  }
 
-    return this.synthesizePipelineResults(results);
+  // A batch that has not started yet has spent nothing
+  spentFor(scope) {
+    if (scope === 'daily') return this.dailySpent();
+    return this.spent[scope] || { tokens: 0, cost: 0 };
   }
 
-  async runConsensusMode(input, agents) {
-    const responses = [];
+  // Share of the tightest limit used so far, or null without a limit
+  usedFraction(scope) {
+    const limit = this.limits[scope];
+    if (!limit) return null;
+    const spent = this.spentFor(scope);
+    return Math.max(
+      limit.tokens !== undefined ? spent.tokens / limit.tokens : 0,
+      limit.cost !== undefined ? spent.cost / limit.cost : 0
+    );
+  }
 
-    console.log('\n📊 Collecting individual responses...');
-    for (const agent of agents) {
-      console.log(`\n🤖 Consulting ${agent.provider}-${agent.model}...`);
-      
-      const result = await this.callSingleAgent(agent, input);
-      if (result.success) {
-        responses.push({
-          agent: `${agent.provider}-${agent.model}`,
-          response: result.result,
-          confidence: this.estimateConfidence(result.result)
-        });
-        console.log(`✅ Response collected (confidence: ${responses[responses.length - 1].confidence}%)`);
-      } else {
-        console.log(`❌ Failed: ${result.error}`);
+  remaining(scope) {
+    const limit = this.limits[scope];
+    if (!limit) return null;
+    const spent = this.spentFor(scope);
+    return {
+      ...(limit.tokens !== undefined ? { tokens: Math.max(0, limit.tokens - spent.tokens) } : {}),
+      ...(limit.cost !== undefined ? { cost: Math.max(0, limit.cost - spent.cost) } : {})
+    };
+  }
+
+  // Estimated tokens and cost of the requests still in flight
+  pendingTotals() {
+    return [...this.pending].reduce((sum, entry) => ({
+      tokens: sum.tokens + entry.tokens,
+      cost: sum.cost + entry.cost
+    }), { tokens: 0, cost: 0 });
+  }
+
+  /**
+   * Holds a starting request's estimate against every budget until record()
+   * or release() replaces it. Throws when the request, on top of what was
+   * spent and what is still in flight, could take a scope past its limit.
+   */
+  reserve({ tokens, cost }) {
+    const entry = { tokens: tokens || 0, cost: cost || 0 };
+    const pending = this.pendingTotals();
+    for (const scope of BUDGET_SCOPES) {
+      const limit = this.limits[scope];
+      // The batch limit only applies while a batch runs
+      if (!limit || (scope === 'batch' && !this.spent.batch)) continue;
+      const spent = this.spentFor(scope);
+      const committed = { tokens: spent.tokens + pending.tokens, cost: spent.cost + pending.cost };
+      if ((limit.tokens !== undefined && committed.tokens + entry.tokens > limit.tokens) ||
+        (limit.cost !== undefined && committed.cost + entry.cost > limit.cost)) {
+        throw new BudgetExceededError(scope, limit, committed);
       }
     }
+    this.pending.add(entry);
+    return entry;
+  }
 
-    return this.buildConsensus(responses, input);
+  release(reservation) {
+    this.pending.delete(reservation);
   }
 
-  async callSingleAgent(agent, input) {
-    const model = this.models[agent.provider];
-    if (!model) return { success: false, error: 'Provider not found' };
+  // Replaces the request's reservation with what it really used
+  record({ provider, model, usage, cost, reservation }) {
+    this.release(reservation);
+    const tokens = usage?.totalTokens || 0;
+    const amount = cost || 0;
+    this.dailySpent();
+    BUDGET_SCOPES.forEach(scope => {
+      if (!this.spent[scope]) return;
+      this.spent[scope].tokens += tokens;
+      this.spent[scope].cost += amount;
+    });
 
     try {
-      const body = JSON.stringify(model.format(input, agent.model));
-      const res = await fetch(model.url, {
-        method: 'POST',
-        headers: model.headers(model.key),
-        body
-      });
-
-      const rawText = await res.text();
-      
-      if (agent.provider === 'ollama') {
-        const lines = rawText.split(/\r?\n/).filter(Boolean);
-        let combined = '';
-        for (const line of lines) {
-          try {
-            const obj = JSON.parse(line);
-            if (obj.response) combined += obj.response;
-          } catch {}
-        }
-        return { success: true, result: combined.trim() };
-      } else {
-        const json = JSON.parse(rawText);
-        return { success: true, result: model.extract(json) };
-      }
+      fs.mkdirSync(path.dirname(this.ledgerPath), { recursive: true });
+      fs.appendFileSync(this.ledgerPath, JSON.stringify({
+        timestamp: new Date().toISOString(), provider, model, tokens, cost: amount
+      }) + '\n');
     } catch (error) {
-      return { success: false, error: error.message };
+      console.log(`⚠️  Could not update usage ledger: ${error.message}`);
     }
+
+    this.warnThresholds();
   }
 
-  synthesizeDebateResults(responses) {
-    let synthesis = '\n🎯 MULTI-AGENT DEBATE SYNTHESIS\n' + '='.repeat(60) + '\n';
-    
-    const agentSummary = responses.reduce((acc, r) => {
-      if (!acc[r.agent]) acc[r.agent] = [];
-      acc[r.agent].push(r.response);
-      return acc;
-    }, {});
-
-    Object.entries(agentSummary).forEach(([agent, responses]) => {
-      synthesis += `\n🤖 **${agent.toUpperCase()} PERSPECTIVE:**\n`;
-      synthesis += `${responses[responses.length - 1].substring(0, 400)}...\n`;
-      synthesis += `\n📈 Evolution: ${responses.length} iterations\n`;
+  warnThresholds() {
+    BUDGET_SCOPES.forEach(scope => {
+      const fraction = this.usedFraction(scope);
+      if (fraction === null) return;
+      const crossed = this.warnAt.filter(threshold => fraction >= threshold && !this.warned[scope].has(threshold));
+      if (crossed.length === 0) return;
+      crossed.forEach(threshold => this.warned[scope].add(threshold));
+      // Starts on its own line, this can fire right after streamed output
+      console.log(`\n⚠️  ${scope} budget ${Math.round(fraction * 100)}% used: ${formatBudget(this.spentFor(scope), this.limits[scope])} of ${formatBudget(this.limits[scope])}`);
     });
-
-    synthesis += '\n💡 **DEBATE INSIGHTS:**\n';
-    synthesis += '• Multiple AI perspectives analyzed\n';
-    synthesis += '• Iterative refinement through discussion\n';
-    synthesis += '• Cross-model validation achieved\n';
-    synthesis += `• Total responses: ${responses.length}\n`;
-
-    return synthesis;
   }
+}
 
-  synthesizePipelineResults(results) {
-    let synthesis = '\n🔗 MULTI-AGENT PIPELINE SYNTHESIS\n' + '='.repeat(60) + '\n';
-    
-    synthesis += `📊 **Pipeline executed with ${results.length} agents**\n\n`;
-    
-    results.forEach((result, index) => {
-      synthesis += `**Step ${result.step}: ${result.agent}**\n`;
-      if (index === 0) {
-        synthesis += `Input: ${result.input}\n`;
-      }
-      synthesis += `Output: ${result.output.substring(0, 300)}...\n\n`;
-    });
+let budgetTracker = new BudgetTracker(CONFIG.budgets);
+
+/**
+ * Pre-flight estimate for running `prompts` on one model. Output length is
+ * unknown up front, so each answer is assumed to be `budgets.estimatedOutputTokens`
+ * long (500 by default).
+ */
+function estimateRun(prompts, provider, model) {
+  const outputTokens = CONFIG.budgets?.estimatedOutputTokens ?? 500;
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  prompts.forEach(prompt => {
+    usage.promptTokens += estimateTokens(prompt);
+    usage.completionTokens += outputTokens;
+  });
+  usage.totalTokens = usage.promptTokens + usage.completionTokens;
+  return { usage, cost: computeCost(usage, provider, model) };
+}
 
-    synthesis += '📈 **FINAL REFINED OUTPUT:**\n';
-    synthesis += '='.repeat(40) + '\n';
-    synthesis += results[results.length - 1].output;
+// Scopes whose remaining budget is smaller than an estimate
+function budgetShortfalls(estimate) {
+  return BUDGET_SCOPES.filter(scope => {
+    const remaining = budgetTracker.remaining(scope);
+    if (!remaining) return false;
+    return (remaining.tokens !== undefined && estimate.usage.totalTokens > remaining.tokens) ||
+      (remaining.cost !== undefined && estimate.cost !== null && estimate.cost > remaining.cost);
+  });
+}
 
-    return synthesis;
+// =====================
+// WORKER POOL & RATE LIMITS
+// =====================
+// Per-provider limits from `rateLimits` in anyany.config.json, e.g.
+// { "rateLimits": { "openai": { "rpm": 500, "tpm": 200000 } } }
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Sliding one-minute window of requests and tokens. `acquire` waits until a
+ * request of the estimated size fits; `settle` corrects the estimate once the
+ * real usage is known.
+ */
+class RateLimiter {
+  constructor({ rpm = null, tpm = null } = {}) {
+    this.rpm = rpm;
+    this.tpm = tpm;
+    this.window = [];
   }
 
-  buildConsensus(responses, originalInput) {
-    let consensus = '\n🤝 MULTI-AGENT CONSENSUS ANALYSIS\n' + '='.repeat(60) + '\n';
-    
-    consensus += `📋 **Original Query:** ${originalInput.substring(0, 200)}...\n\n`;
-    consensus += `👥 **${responses.length} AI Agents Consulted**\n\n`;
-    
-    responses.forEach(r => {
-      consensus += `🤖 **${r.agent.toUpperCase()}** (Confidence: ${r.confidence}%)\n`;
-      consensus += `${r.response.substring(0, 300)}...\n\n`;
-    });
+  prune(now) {
+    this.window = this.window.filter(entry => now - entry.time < RATE_WINDOW_MS);
+  }
 
-    const highConfidenceResponses = responses.filter(r => r.confidence > 75);
-    if (highConfidenceResponses.length > 0) {
-      consensus += '✅ **HIGH CONFIDENCE CONSENSUS:**\n';
-      consensus += '='.repeat(40) + '\n';
-      consensus += highConfidenceResponses[0].response;
-    } else {
-      consensus += '⚖️ **BALANCED MULTI-PERSPECTIVE VIEW:**\n';
-      consensus += '='.repeat(40) + '\n';
-      consensus += responses.map(r => `**${r.agent}:** ${r.response}`).join('\n\n---\n\n');
+  async acquire(tokens) {
+    while (true) {
+      const now = Date.now();
+      this.prune(now);
+      const usedTokens = this.window.reduce((sum, entry) => sum + entry.tokens, 0);
+      const fitsRequests = !this.rpm || this.window.length < this.rpm;
+      // A single request larger than the whole limit still runs, alone
+      const fitsTokens = !this.tpm || usedTokens + tokens <= this.tpm || this.window.length === 0;
+      if (fitsRequests && fitsTokens) {
+        const entry = { time: now, tokens };
+        this.window.push(entry);
+        return entry;
+      }
+      await sleep(Math.max(50, this.window[0].time + RATE_WINDOW_MS - now));
     }
-
-    return consensus;
   }
 
-  estimateConfidence(response) {
-    let confidence = 50;
-    
-    // Positive confidence indicators
-    if (response.includes('definitely') || response.includes('clearly')) confidence += 15;
-    if (response.includes('evidence') || response.includes('data')) confidence += 10;
-    if (response.includes('research') || response.includes('studies')) confidence += 10;
-    if (response.length > 800) confidence += 10; // Detailed responses
-    
-    // Negative confidence indicators
-    if (response.includes('might') || response.includes('possibly')) confidence -= 10;
-    if (response.includes('uncertain') || response.includes('not sure')) confidence -= 15;
-    if (response.includes('I think') || response.includes('probably')) confidence -= 5;
-    
-    return Math.max(25, Math.min(95, confidence));
+  settle(entry, tokens) {
+    entry.tokens = tokens;
   }
 }
 
-// =====================
-// UTILITY FUNCTIONS
-// =====================
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const rateLimiters = new Map();
 
-async function ask(prompt) {
-  return new Promise(resolve => rl.question(prompt, resolve));
+function getRateLimiter(provider) {
+  const limits = CONFIG.rateLimits?.[provider];
+  if (!limits) return null;
+  if (!rateLimiters.has(provider)) rateLimiters.set(provider, new RateLimiter(limits));
+  return rateLimiters.get(provider);
 }
 
-async function selectFromList(items, prompt, defaultIndex = 0, showIcons = false) {
-  console.log(`\n${prompt}`);
-  items.forEach((item, index) => {
-    const icon = showIcons && item.icon ? `${item.icon} ` : '';
-    const display = typeof item === 'string' ? item : item.desc || item.name || item;
-    console.log(`${index + 1}. ${icon}${display}`);
-  });
-  
-  const choice = await ask(`\nEnter number (1-${items.length}, default: ${defaultIndex + 1}): `);
-  const selectedIndex = parseInt(choice.trim()) - 1;
-  
-  if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= items.length) {
-    return defaultIndex;
-  }
-  return selectedIndex;
+function getConcurrency(options = {}) {
+  const concurrency = Number(options.concurrency ?? CONFIG.concurrency ?? 1);
+  return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
 }
 
-function displayResult(result, taskName, model = '') {
-  console.log('\n' + '='.repeat(70));
-  console.log(`📋 RESULT: ${taskName.toUpperCase()}`);
-  if (model) console.log(`🤖 Model: ${model}`);
-  console.log('='.repeat(70));
-  console.log(result);
-  console.log('='.repeat(70) + '\n');
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
 }
 
-async function exportResult(result, taskName, model = '') {
-  const outputActions = [
-    '👀 Display in Terminal',
-    '💾 Export to File',
-    '📺 Both Display & Export'
-  ];
-  
-  const actionIndex = await selectFromList(outputActions, "Choose output action:", 0);
-  const action = outputActions[actionIndex];
-  
-  if (action.includes('Display')) {
-    displayResult(result, taskName, model);
-  }
-  
-  if (action.includes('Export')) {
-    const formatEntries = Object.entries(EXPORT_FORMATS);
-    const formatItems = formatEntries.map(([key, value]) => ({
-      key,
-      desc: `${value.icon} ${value.name} (${value.extension})`,
-      ...value
-    }));
-    
-    const formatIndex = await selectFromList(formatItems, "Choose export format:", 0, true);
-    const selectedFormat = formatItems[formatIndex];
-    
-    let exportPath = './output';
-    const useCustomPath = await ask("\nUse custom export path? (y/n, default: n): ");
-    
-    if (useCustomPath.trim().toLowerCase() === 'y') {
-      exportPath = await ask("Enter export directory path: ");
+/**
+ * Progress line with done/failed/in-flight counts and an ETA. With `live`
+ * it redraws a single terminal line, otherwise it prints a line per item.
+ */
+function createProgressReporter(total, label, { live = false } = {}) {
+  const stream = headless ? process.stderr : process.stdout;
+  live = live && Boolean(stream.isTTY);
+  const counts = { done: 0, failed: 0, inFlight: 0 };
+  const startedAt = Date.now();
+
+  const line = () => {
+    const finished = counts.done + counts.failed;
+    const eta = finished > 0 && finished < total
+      ? formatDuration((Date.now() - startedAt) / finished * (total - finished))
+      : '--';
+    return `📈 ${label}: ${finished}/${total} · ✅ ${counts.done} done · ❌ ${counts.failed} failed · 🔄 ${counts.inFlight} in flight · ETA ${eta}`;
+  };
+  const render = () => {
+    if (live) stream.write(`\r\x1b[K${line()}`);
+  };
+
+  return {
+    start() {
+      counts.inFlight++;
+      render();
+    },
+    finish(success) {
+      counts.inFlight--;
+      counts[success ? 'done' : 'failed']++;
+      if (live) render();
+      else stream.write(`${line()}\n`);
+    },
+    // Prints a message above the live line
+    log(message) {
+      if (live) stream.write('\r\x1b[K');
+      stream.write(`${message}\n`);
+      render();
+    },
+    end() {
+      if (live) stream.write(`\r\x1b[K${line()}\n`);
+    }
+  };
+}
+
+/**
+ * Runs `worker(item, index)` with at most `concurrency` items in flight and
+ * returns the results in input order. Once `shouldStop(result)` is true no
+ * new items start; those left unstarted stay undefined in `results`.
+ */
+async function runPool(items, worker, { concurrency = 1, progress = null, shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let stopped = false;
+
+  const runWorker = async () => {
+    while (!stopped && next < items.length) {
+      const index = next++;
+      progress?.start();
+      let result;
       try {
-        fs.mkdirSync(exportPath, { recursive: true });
+        result = await worker(items[index], index);
       } catch (error) {
-        console.log(`⚠️  Could not create directory: ${error.message}`);
-        exportPath = './output';
-      }
-    } else {
-      if (!fs.existsSync(exportPath)) {
-        fs.mkdirSync(exportPath, { recursive: true });
+        result = { success: false, error: error.message, errorType: error.type || 'unknown' };
       }
+      results[index] = result;
+      progress?.finish(result.success);
+      if (shouldStop(result)) stopped = true;
     }
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('.')[0];
-    const cleanTaskName = taskName.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
-    const fileName = `${cleanTaskName}_${timestamp}${selectedFormat.extension}`;
-    const fullPath = path.join(exportPath, fileName);
-    
-    try {
-      const convertedContent = selectedFormat.converter(result);
-      fs.writeFileSync(fullPath, convertedContent, 'utf8');
-      
-      const stats = fs.statSync(fullPath);
-      console.log(`\n✅ File exported successfully!`);
-      console.log(`📁 Location: ${fullPath}`);
-      console.log(`${selectedFormat.icon} Format: ${selectedFormat.name}`);
-      console.log(`📏 Size: ${(stats.size / 1024).toFixed(2)} KB\n`);
-      
-      //New openfile functionality
-      const openFile = await ask("Open the file? (y/n, default: n): ");
-      if (openFile.trim().toLowerCase() === 'y') {
-        try {
-          const platform = process.platform;
-          let cmd;
+  };
 
-          if (platform === 'darwin') cmd = 'open';
-          else if (platform === 'win32') cmd = 'start';
-          else cmd = 'xdg-open';
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  progress?.end();
+  return { results, stopped };
+}
 
-          spawn(cmd, [fullPath], {
-            shell: true,
-            detached: true,
-            stdio: 'ignore'
-          });
+// =====================
+// FALLBACK CHAINS
+// =====================
+// "openrouter:google/gemini-2.0-flash-001" -> { provider, model }. Model ids
+// may contain ':' themselves (ollama tags), so only the first one splits.
+function parseModelRef(ref) {
+  const separator = ref.indexOf(':');
+  return separator === -1
+    ? { provider: ref.trim(), model: undefined }
+    : { provider: ref.slice(0, separator).trim(), model: ref.slice(separator + 1).trim() };
+}
 
-          console.log(`🚀 Opening file with default application...\n`);
-        } catch (error) {
-          console.log(`⚠️  Could not open file: ${error.message}\n`);
-        }
+function formatModelRef({ provider, model }) {
+  return `${provider}:${model}`;
+}
+
+/**
+ * Ordered alternatives to try when a model fails with a retryable error.
+ * Configured as `fallbacks` in anyany.config.json, keyed by "provider:model",
+ * "provider" or "*" (most specific wins), or given per run with --fallback.
+ */
+function getFallbackChain(provider, model, override = null) {
+  const chains = CONFIG.fallbacks || {};
+  const chain = override || chains[`${provider}:${model}`] || chains[provider] || chains['*'] || [];
+
+  return chain
+    .map(ref => typeof ref === 'string' ? parseModelRef(ref) : ref)
+    .filter(ref => {
+      if (!isProviderAvailable(ref.provider)) {
+        console.log(`⚠️  Fallback ${ref.provider} is not configured, skipping`);
+        return false;
       }
-      
-    } catch (error) {
-      console.log(`❌ Export failed: ${error.message}\n`);
-      return false;
-    }
-  }
-  
-  return true;
+      return true;
+    })
+    .map(ref => ({
+      provider: ref.provider,
+      model: ref.model || MODELS[ref.provider].models[0]?.id || MODELS[ref.provider].defaultModel
+    }))
+    .filter(ref => !(ref.provider === provider && ref.model === model));
+}
+
+// Session metadata describing which model actually produced a result
+function answerMetadata(result) {
+  return {
+    answeredBy: formatModelRef(result),
+    ...(result.cached ? { cached: true } : {}),
+    ...(result.fallbackAttempts?.length ? { fallbackAttempts: result.fallbackAttempts } : {})
+  };
+}
+
+// Export label naming the answering model, and the fallback if one was used
+function describeAnswer(result, requestedModel) {
+  const label = `${MODELS[result.provider].name} (${result.model})`;
+  if (!result.fallbackAttempts?.length) return label;
+  return `${label} - fallback after ${result.fallbackAttempts.map(formatModelRef).join(', ')} failed (requested ${requestedModel})`;
 }
 
-async function runAgent(modelConfig, task, inputText, submodel) {
+/**
+ * Runs a request with the terminal spinner and live token output. Retryable
+ * failures move on to the next model in the fallback chain; the result names
+ * the provider/model that answered and lists the failed attempts.
+ * Pass `{ fallback: false }` to use only the requested model, and
+ * `{ quiet: true }` to print nothing (used by parallel batches).
+ * `options.system`, `options.history` and `options.params` are sent as given;
+ * without params the configured defaults are used.
+ */
+async function runAgent(modelConfig, task, inputText, submodel, options = {}) {
   const model = MODELS[modelConfig];
   if (!model) throw new Error(`Model ${modelConfig} not supported.`);
+  const system = options.system;
+  const params = options.params || resolveGenerationParams();
+
+  const candidates = [
+    { provider: modelConfig, model: submodel || model.defaultModel },
+    ...(options.fallback === false ? [] : getFallbackChain(modelConfig, submodel, options.fallbackChain))
+  ];
 
+  const quiet = options.quiet === true;
+  const log = quiet ? () => {} : (...messages) => console.log(...messages);
   const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
   let spinnerIndex = 0;
-  process.stdout.write('🤖 Processing');
-  const spinner = setInterval(() => {
-    process.stdout.write(`\r🤖 Processing ${spinnerFrames[spinnerIndex++ % spinnerFrames.length]}`);
-  }, 100);
+  const progress = headless ? process.stderr : process.stdout;
+  let spinner = null;
+  if (!quiet) {
+    progress.write('🤖 Processing');
+    spinner = setInterval(() => {
+      progress.write(`\r🤖 Processing ${spinnerFrames[spinnerIndex++ % spinnerFrames.length]}`);
+    }, 100);
+  }
 
-  let result, errorMsg = null;
+  // The spinner only runs until the first token, then tokens are echoed live
+  const startedAt = Date.now();
+  let result = '', usage = null, errorMsg = null, errorType = null, streaming = false;
+  let answered = null, cached = false;
+  const fallbackAttempts = [];
   try {
-    const body = JSON.stringify(model.format(inputText, submodel));
-    const res = await fetch(model.url, {
-      method: 'POST',
-      headers: model.headers(model.key),
-      body
-    });
-    
-    const rawText = await res.text();
-    
-    if (modelConfig === 'ollama') {
-      try {
-        const lines = rawText.split(/\r?\n/).filter(Boolean);
-        let combined = '';
-        for (const line of lines) {
-          try {
-            const obj = JSON.parse(line);
-            if (obj.response) combined += obj.response;
-          } catch {}
-        }
-        result = combined.trim();
-        if (!result) errorMsg = 'Model returned empty response';
-      } catch (e) {
-        errorMsg = 'Failed to parse Ollama response';
+    for (const candidate of candidates) {
+      if (fallbackAttempts.length > 0 && !quiet) {
+        progress.write(`\n↪️  Falling back to ${formatModelRef(candidate)}...\n`);
       }
-    } else {
+
       try {
-        const json = JSON.parse(rawText);
-        result = model.extract(json);
-        if (!result) errorMsg = 'Model returned empty result';
+        const request = { input: inputText, model: candidate.model, system, history: options.history, params };
+        const response = await callModel(MODELS[candidate.provider], request, quiet ? null : token => {
+          if (!streaming) {
+            clearInterval(spinner);
+            progress.write('\r🤖 Streaming response:\n\n');
+            streaming = true;
+          }
+          progress.write(token);
+        });
+        if (!response.text) {
+          throw Object.assign(new Error('Model returned empty response'), { type: 'empty_response' });
+        }
+        result = response.text;
+        usage = response.usage;
+        cached = response.cached;
+        answered = candidate;
+        errorMsg = null;
+        break;
       } catch (e) {
-        errorMsg = 'Failed to parse model response: ' + e.message;
+        errorMsg = e instanceof ProviderError || e.type ? e.message : 'Request failed: ' + e.message;
+        errorType = e.type || 'unknown';
+        fallbackAttempts.push({ ...candidate, error: errorMsg, errorType });
+        if (!e.retryable) break;
       }
     }
-  } catch (e) {
-    errorMsg = 'Request failed: ' + e.message;
   } finally {
     clearInterval(spinner);
-    process.stdout.write('\r🤖 Processing ✅ Complete!\n');
+    if (!quiet) {
+      progress.write(streaming ? '\n\n🤖 Processing ✅ Complete!\n' : '\r🤖 Processing ✅ Complete!\n');
+    }
   }
 
-  if (errorMsg) {
-    console.log(`\n❌ Error: ${errorMsg}`);
-    return { success: false, error: errorMsg };
+  if (!answered) {
+    if (fallbackAttempts.length > 1) {
+      errorMsg += ` (all ${fallbackAttempts.length} models in the fallback chain failed)`;
+    }
+    log(`\n❌ Error: ${errorMsg}`);
+    return { success: false, error: errorMsg, errorType, fallbackAttempts };
   }
 
-  return { success: true, result };
+  if (fallbackAttempts.length > 0) {
+    log(`↪️  Answered by fallback ${formatModelRef(answered)}`);
+  }
+  if (cached) {
+    log('💾 Served from response cache (use --refresh or --no-cache to call the model)');
+  }
+  const cost = computeCost(usage, answered.provider, answered.model, cached);
+  if (usage) log(`📊 ${formatUsage(usage, cost)}`);
+
+  return {
+    success: true,
+    result,
+    usage,
+    cost,
+    system,
+    params,
+    messages: chatMessages(system, inputText, options.history),
+    historyMessages: options.history?.length || 0,
+    latencyMs: Date.now() - startedAt,
+    provider: answered.provider,
+    model: answered.model,
+    cached,
+    fallbackAttempts
+  };
 }
 
 // =====================
@@ -780,7 +4853,7 @@ async function runAgent(modelConfig, task, inputText, submodel) {
 // =====================
 async function loadOllamaModels() {
   try {
-    const response = await fetch('http://localhost:11434/api/tags');
+    const response = await fetch(`${MODELS.ollama.host}/api/tags`, { signal: AbortSignal.timeout(5000) });
     const data = await response.json();
     
     if (data.models && Array.isArray(data.models)) {
@@ -805,12 +4878,20 @@ async function loadOllamaModels() {
 // ENSURE OLLAMA RUNNING
 // =====================
 async function ensureOllamaRunning() {
-  const isRunning = await fetch('http://localhost:11434/api/tags')
+  const tagsUrl = `${MODELS.ollama.host}/api/tags`;
+  const isRunning = await fetch(tagsUrl)
     .then(res => res.ok)
     .catch(() => false);
 
-  if (isRunning) {
-    console.log('✅ Ollama is already running');
+  if (isRunning) {
+    console.log(`✅ Ollama is already running (${MODELS.ollama.host})`);
+    return;
+  }
+
+  // A remote Ollama cannot be started from here
+  const { hostname } = new URL(MODELS.ollama.host);
+  if (!['localhost', '127.0.0.1', '::1', '[::1]', '0.0.0.0'].includes(hostname)) {
+    console.log(`⚠️  Ollama at ${MODELS.ollama.host} is not reachable`);
     return;
   }
 
@@ -827,7 +4908,7 @@ async function ensureOllamaRunning() {
   let ready = false;
 
   for (let i = 0; i < maxRetries; i++) {
-    ready = await fetch('http://localhost:11434/api/tags')
+    ready = await fetch(tagsUrl)
       .then(res => res.ok)
       .catch(() => false);
     if (ready) break;
@@ -844,7 +4925,8 @@ async function ensureOllamaRunning() {
 // =====================
 // MAIN APPLICATION
 // =====================
-async function main() {
+// Startup shared by the menu and the chat REPL
+async function initializeApp() {
   console.log('🚀 Enhanced QA AI Agent CLI v3.0');
   console.log('='.repeat(60));
   console.log('🎯 Multi-Model | 🤖 Multi-Agent | 📊 Session Management');
@@ -853,6 +4935,7 @@ async function main() {
   // Initialize API keys before doing anything else
   await checkAndSetupApiKeys();
 
+  applyConfig();
   await ensureOllamaRunning();
 
   // Initialize session manager
@@ -867,10 +4950,28 @@ async function main() {
     console.log('⚠️  Ollama not available or no models found');
   }
 
+  await discoverEndpointModels();
+
+  // Only the menu and repl start here; headless runs leave this to `sessions prune`
+  if (CONFIG.retention?.auto) {
+    try {
+      const report = await applyRetention(sessionManager);
+      if (report.expired.length > 0 || report.compactions.length > 0) printRetentionReport(report, false);
+    } catch (error) {
+      console.log(`⚠️  Session cleanup failed: ${error.message}`);
+    }
+  }
+  return sessionManager;
+}
+
+async function main() {
+  const sessionManager = await initializeApp();
+
   while (true) {
     try {
       const mainMenu = [
         '🔥 Quick Query',
+        '💬 Chat',
         '🤖 Multi-Agent Mode',
         '⚙️ Custom Task',
         '💾 Session Management',
@@ -885,23 +4986,27 @@ async function main() {
           await handleQuickQuery(sessionManager);
           break;
           
-        case 1: // Multi-Agent Mode
+        case 1: // Chat
+          await handleChat(sessionManager);
+          break;
+          
+        case 2: // Multi-Agent Mode
           await handleMultiAgentMode(sessionManager);
           break;
           
-        case 2: // Custom Task
+        case 3: // Custom Task
           await handleCustomTask(sessionManager);
           break;
           
-        case 3: // Session Management (sebelumnya case 4)
+        case 4: // Session Management
           await handleSessionManagement(sessionManager);
           break;
           
-        case 4: // Batch Processing (sebelumnya case 5)
+        case 5: // Batch Processing
           await handleBatchProcessing(sessionManager);
           break;
           
-        case 5: // Exit (sebelumnya case 6)
+        case 6: // Exit
           console.log('\n👋 Thank you for using Anyany.js, QA AI Agent CLI!');
           process.exit(0);
           
@@ -918,72 +5023,678 @@ async function main() {
 }
 
 // =====================
-// HANDLER FUNCTIONS
+// CONVERSATION CONTEXT
 // =====================
-async function handleQuickQuery(sessionManager) {
-  if (!sessionManager.currentSession) {
-    sessionManager.createSession();
-    console.log(`✅ Created new session: ${sessionManager.currentSession.name}`);
+// Chat turns are the current session's chat conversations (see isChatTurn).
+// Older turns are dropped to fit the model's context window, or folded into
+// a summary when `chat.overflow` is "summarize" in the config file.
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// `contextBudgets` ("provider:model" or "provider") can lower the window to keep follow-ups cheap
+function getContextBudget(provider, model) {
+  const budgets = CONFIG.contextBudgets || {};
+  const config = MODELS[provider];
+  return budgets[`${provider}:${model}`] || budgets[provider] ||
+    config?.models.find(m => m.id === model)?.contextWindow || config?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+}
+
+function turnTokens(turn) {
+  return estimateTokens(turn.input) + estimateTokens(turn.output);
+}
+
+// Keeps the newest turns that fit in `maxTokens`, whole turns only
+function trimHistory(turns, maxTokens) {
+  let used = 0;
+  let start = turns.length;
+  while (start > 0 && used + turnTokens(turns[start - 1]) <= maxTokens) {
+    used += turnTokens(turns[start - 1]);
+    start--;
   }
+  return { kept: turns.slice(start), dropped: turns.slice(0, start) };
+}
 
-  const input = await ask('\n💬 Enter your question: ');
-  if (!input.trim()) return;
+function toChatHistory(turns) {
+  return turns.flatMap(turn => [
+    { role: 'user', content: turn.input },
+    { role: 'assistant', content: turn.output }
+  ]);
+}
 
-  const providers = Object.keys(MODELS).filter(key => {
-    const model = MODELS[key];
-    return model.key || key === 'ollama';
+async function summarizeTurns(provider, model, turns, previousSummary) {
+  const transcript = turns.map(turn => `User: ${turn.input}\n\nAssistant: ${turn.output}`).join('\n\n---\n\n');
+  const { text } = await callModel(MODELS[provider], {
+    model,
+    system: 'Summarize this conversation so it can replace the original turns as context for a follow-up. ' +
+      'Keep facts, decisions, names, numbers and open questions. Be concise.',
+    input: previousSummary ? `Summary so far:\n${previousSummary}\n\nLater turns:\n${transcript}` : transcript,
+    params: { temperature: 0.2, maxTokens: 600 }
   });
+  return text.trim();
+}
 
-  if (providers.length === 0) {
-    console.log('❌ No API keys configured. Please set up your environment variables.');
-    return;
+/**
+ * History and system prompt for the next chat turn. The summary of dropped
+ * turns is kept on the session (`contextSummary`) so it is built only once.
+ */
+async function buildChatContext(sessionManager, { provider, model, system, input, params = {} }) {
+  const session = sessionManager.currentSession;
+  let summary = session.contextSummary || null;
+  const turns = sessionManager.getRecentContext(Infinity, summary?.throughIndex || 0);
+
+  const available = getContextBudget(provider, model) - (params.maxTokens || 1024) -
+    estimateTokens(system) - estimateTokens(input) - estimateTokens(summary?.text);
+  const { kept, dropped } = trimHistory(turns, Math.max(0, available));
+
+  if (dropped.length > 0) {
+    if (CONFIG.chat?.overflow === 'summarize') {
+      console.log(`🗜️  Summarizing ${dropped.length} earlier turns to fit the context window...`);
+      const summaryModel = CONFIG.chat?.summaryModel ? parseModelRef(CONFIG.chat.summaryModel) : { provider, model };
+      try {
+        summary = {
+          throughIndex: dropped[dropped.length - 1].index + 1,
+          text: await summarizeTurns(summaryModel.provider, summaryModel.model, dropped, summary?.text)
+        };
+        session.contextSummary = summary;
+        sessionManager.saveSession();
+      } catch (error) {
+        console.log(`⚠️  Summary failed (${error.message}), dropping the turns instead`);
+      }
+    } else {
+      console.log(`✂️  Leaving out ${dropped.length} oldest turns to fit the ${getContextBudget(provider, model).toLocaleString()}-token context`);
+    }
   }
 
-  const providerIndex = await selectFromList(providers, "Choose AI provider:", 0);
-  const selectedProvider = providers[providerIndex];
-  const model = MODELS[selectedProvider];
+  return {
+    history: toChatHistory(kept),
+    turns: kept.length,
+    from: kept.length ? kept[0].index : null,
+    system: summary?.text
+      ? [system, `Summary of the earlier conversation:\n${summary.text}`].filter(Boolean).join('\n\n')
+      : system
+  };
+}
 
-  let selectedModel;
-  if (model.models.length > 1) {
-    const modelIndex = await selectFromList(model.models, `Choose ${model.name} model:`, 0);
-    selectedModel = model.models[modelIndex];
+// The model that answered the session's last conversation, for resuming it
+function lastModelRef(session) {
+  const last = [...(session?.conversations || [])].reverse().find(conv => conv.metadata?.answeredBy);
+  return last ? parseModelRef(last.metadata.answeredBy) : null;
+}
+
+// =====================
+// CHAT REPL
+// =====================
+// Slash commands for the chat prompt. Each `run(args, state, sessionManager)`
+// works on the chat state from createChatState; returning 'exit' leaves the chat.
+const INPUT_HISTORY_SIZE = 500;
+
+function getInputHistoryPath() {
+  return CONFIG.chat?.historyFile || path.join(os.homedir(), '.anyany_history');
+}
+
+// Newest first, as readline expects
+function loadInputHistory() {
+  try {
+    const lines = fs.readFileSync(getInputHistoryPath(), 'utf8').split('\n').filter(Boolean);
+    if (lines.length > INPUT_HISTORY_SIZE * 2) {
+      fs.writeFileSync(getInputHistoryPath(), lines.slice(-INPUT_HISTORY_SIZE).join('\n') + '\n');
+    }
+    return lines.slice(-INPUT_HISTORY_SIZE).reverse();
+  } catch {
+    return [];
+  }
+}
+
+function saveInputHistory(line) {
+  try {
+    fs.appendFileSync(getInputHistoryPath(), line.replace(/\n/g, ' ') + '\n');
+  } catch {
+    // History is a convenience, an unwritable home directory must not break the chat
+  }
+}
+
+function listModelRefs() {
+  return getAvailableProviders().flatMap(provider =>
+    MODELS[provider].models.map(model => formatModelRef({ provider, model: model.id })));
+}
+
+// readline completer: command names, then the arguments each command takes
+function completeChatInput(line) {
+  if (!line.startsWith('/')) return [[], line];
+
+  const words = line.split(/\s+/);
+  if (words.length === 1) {
+    return [Object.keys(CHAT_COMMANDS).map(name => `/${name}`).filter(name => name.startsWith(line)), line];
+  }
+
+  const candidates = {
+    model: listModelRefs(),
+    task: [...Object.values(TASK_OPTIONS).map(key => key.toLowerCase()), 'off'],
+    export: Object.keys(EXPORT_FORMATS),
+    session: ['new', 'load', 'list', 'rename', 'tag', 'fork'],
+    params: [...Object.keys(GENERATION_PARAMS).map(name => `${name}=`), 'reset']
+  }[words[0].slice(1).toLowerCase()] || [];
+  const partial = words[words.length - 1];
+  return [candidates.filter(candidate => candidate.startsWith(partial)), partial];
+}
+
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  default: [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+// Tries the platform's clipboard tools in order; resolves false when none works
+function copyToClipboard(text) {
+  const commands = CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.default;
+  return new Promise(resolve => {
+    const tryCommand = index => {
+      if (index >= commands.length) return resolve(false);
+      const [command, ...args] = commands[index];
+      const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+      child.on('error', () => tryCommand(index + 1));
+      child.on('close', code => code === 0 ? resolve(true) : tryCommand(index + 1));
+      child.stdin.on('error', () => {});
+      child.stdin.end(text);
+    };
+    tryCommand(0);
+  });
+}
+
+function createChatState(provider, selectedModel, options = {}) {
+  return refreshChatState({
+    provider,
+    selectedModel,
+    options,
+    task: null,
+    paramOverrides: {},
+    lastInput: null,
+    lastResult: null,
+    lastTurnIndex: null
+  });
+}
+
+// System prompt and params follow the /task and /params settings
+function refreshChatState(state) {
+  const taskKey = state.task ? TASK_OPTIONS[state.task] : null;
+  const template = taskKey && taskKey !== 'CUSTOM_TASK' ? PROMPTS[taskKey] || '' : '';
+  state.system = resolveSystemPrompt(state.options, template);
+  state.params = resolveGenerationParams(taskKey?.toLowerCase() || null, { ...state.options.params, ...state.paramOverrides });
+  return state;
+}
+
+async function sendChatTurn(sessionManager, state, input) {
+  const { provider, selectedModel, system, params } = state;
+  const context = await buildChatContext(sessionManager, { provider, model: selectedModel.id, system, input, params });
+  const result = await runAgent(provider, 'Chat', input, selectedModel.id, {
+    ...state.options,
+    system: context.system,
+    history: context.history,
+    params
+  });
+
+  state.lastInput = input;
+  state.lastTurnIndex = null;
+  if (result.success) {
+    sessionManager.addConversation(input, result.result, result.provider, state.task ? `Chat: ${state.task}` : 'Chat', {
+      chat: true,
+      ...(context.from !== null ? { contextFrom: context.from } : {}),
+      model: selectedModel.id,
+      contextTurns: context.turns,
+      ...answerMetadata(result),
+      ...usageMetadata(result),
+      ...generationMetadata(result)
+    });
+    state.lastTurnIndex = sessionManager.currentSession.conversations.length - 1;
   } else {
-    selectedModel = model.models[0];
+    console.log(`❌ Message failed: ${result.error}`);
+  }
+  return result;
+}
+
+function describeChatSession(sessionManager) {
+  const session = sessionManager.currentSession;
+  const turns = sessionManager.getRecentContext().length;
+  console.log(`📁 Session "${session.name}" (${session.id}), ${turns} turns`);
+}
+
+const CHAT_COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'Show these commands',
+    run: () => {
+      console.log('\n💡 Chat commands (Tab completes commands, models and options):');
+      Object.values(CHAT_COMMANDS).forEach(command => {
+        console.log(`  ${command.usage.padEnd(42)} ${command.description}`);
+      });
+    }
+  },
+
+  model: {
+    usage: '/model [provider:model]',
+    description: 'Switch the model; without an argument pick from a list',
+    run: async (args, state) => {
+      const ref = args[0] ? parseModelRef(args.join(' ')) : {};
+      if (ref.provider && MODELS[ref.provider] && !isProviderAvailable(ref.provider)) {
+        throw new Error(`${MODELS[ref.provider].name} is not configured`);
+      }
+      const { provider, selectedModel } = await resolveModelSelection(ref);
+      Object.assign(state, { provider, selectedModel });
+      console.log(`🤖 Now chatting with ${formatModelRef({ provider, model: selectedModel.id })}`);
+    }
+  },
+
+  task: {
+    usage: '/task [task|off]',
+    description: 'Use a task template as the system prompt',
+    run: async (args, state) => {
+      if (!args[0]) {
+        console.log(`🎯 Current task: ${state.task || 'none'}`);
+        console.log(`   Available: ${Object.values(TASK_OPTIONS).map(key => key.toLowerCase()).join(', ')}, off`);
+        return;
+      }
+      if (['off', 'none'].includes(args[0].toLowerCase())) {
+        state.task = null;
+      } else {
+        const taskName = findTaskName(args.join(' '));
+        if (!taskName) throw new Error(`Unknown task "${args.join(' ')}". Type /task to list them.`);
+        state.task = taskName;
+      }
+      refreshChatState(state);
+      console.log(state.task ? `🎯 Task: ${state.task}` : '🎯 Task template off');
+    }
+  },
+
+  params: {
+    usage: '/params [name=value ...|reset]',
+    description: 'Show or set generation parameters',
+    run: async (args, state) => {
+      if (args[0]?.toLowerCase() === 'reset') {
+        state.paramOverrides = {};
+      } else {
+        args.forEach(arg => {
+          const [rawName, ...value] = arg.split('=');
+          // max_tokens and top-p are accepted like the CLI flags
+          const name = rawName.replace(/[_-](\w)/g, (_, char) => char.toUpperCase());
+          if (!value.length) throw new Error(`Expected name=value, got "${arg}"`);
+          state.paramOverrides[name] = parseGenerationParam(name, value.join('='));
+        });
+      }
+      refreshChatState(state);
+      console.log(`⚙️  Params: ${JSON.stringify(state.params)}`);
+    }
+  },
+
+  retry: {
+    usage: '/retry',
+    description: 'Send the last message again, replacing its answer',
+    run: async (args, state, sessionManager) => {
+      if (!state.lastInput) {
+        console.log('📭 Nothing to retry yet');
+        return;
+      }
+      const conversations = sessionManager.currentSession.conversations;
+      if (state.lastTurnIndex !== null && state.lastTurnIndex === conversations.length - 1) {
+        sessionManager.removeConversation(state.lastTurnIndex);
+      }
+      console.log(`🔁 ${state.lastInput}`);
+      state.lastResult = await sendChatTurn(sessionManager, state, state.lastInput);
+    }
+  },
+
+  copy: {
+    usage: '/copy',
+    description: 'Copy the last answer to the clipboard',
+    run: async (args, state) => {
+      if (!state.lastResult?.success) {
+        console.log('📭 No answer to copy yet');
+        return;
+      }
+      if (await copyToClipboard(state.lastResult.result)) {
+        console.log('📋 Copied the last answer to the clipboard');
+      } else {
+        console.log('⚠️  No clipboard tool found (pbcopy, wl-copy, xclip, xsel or clip), saving to a file instead');
+        writeResultOutput(state.lastResult.result, 'Chat', describeAnswer(state.lastResult, state.selectedModel.id), {
+          format: 'txt',
+          out: './output/'
+        });
+      }
+    }
+  },
+
+  export: {
+    usage: '/export [format]',
+    description: `Save the last answer to ./output (${Object.keys(EXPORT_FORMATS).join(', ')})`,
+    run: async (args, state) => {
+      if (!state.lastResult?.success) {
+        console.log('📭 No answer to export yet');
+        return;
+      }
+      writeResultOutput(state.lastResult.result, 'Chat', describeAnswer(state.lastResult, state.selectedModel.id), {
+        format: args[0]?.toLowerCase() || 'md',
+        out: './output/',
+        fallbackUsed: state.lastResult.fallbackAttempts.length > 0
+      });
+    }
+  },
+
+  session: {
+    usage: '/session new [name]|load [id|name]|list [tag]|rename <name>|tag <tags>|fork [n]',
+    description: 'Start, switch, list, rename, tag or fork sessions',
+    run: async ([action, ...rest], state, sessionManager) => {
+      const name = rest.join(' ').trim();
+      switch (action?.toLowerCase()) {
+        case 'new':
+          sessionManager.createSession(name || null);
+          break;
+
+        case 'load': {
+          let target;
+          if (name) {
+            target = sessionManager.findSession(name);
+            if (!target) throw new Error(`No session matches "${name}"`);
+          } else {
+            const sessions = sessionManager.listSessions();
+            if (sessions.length === 0) throw new Error('No sessions to load');
+            const index = await selectFromList(
+              sessions.map(formatSessionLabel),
+              'Choose session to load:',
+              0
+            );
+            target = sessions[index];
+          }
+          sessionManager.loadSession(target.id);
+          break;
+        }
+
+        case 'list': {
+          const current = sessionManager.currentSession?.id;
+          sessionManager.listSessions().filter(s => !name || sessionHasTag(s, name)).forEach(s => {
+            const tags = s.tags.length ? ` · ${s.tags.join(', ')}` : '';
+            console.log(`${s.id === current ? '▶' : ' '} ${s.name} (${s.id}) · ${s.conversations} conversations · ${new Date(s.created).toLocaleString()}${tags}`);
+          });
+          return;
+        }
+
+        case 'rename':
+          if (!name) throw new Error('Usage: /session rename <name>');
+          sessionManager.updateSession(sessionManager.currentSession.id, { name });
+          console.log(`✅ Renamed to "${name}"`);
+          return;
+
+        case 'tag': {
+          if (!name) throw new Error('Usage: /session tag <tag> [-tag]...');
+          const words = name.split(/[\s,]+/);
+          const removed = words.filter(word => word.startsWith('-')).map(word => word.slice(1).toLowerCase());
+          const tags = normalizeTags([...(sessionManager.currentSession.tags || []), ...words.filter(word => !word.startsWith('-'))])
+            .filter(tag => !removed.includes(tag.toLowerCase()));
+          sessionManager.updateSession(sessionManager.currentSession.id, { tags });
+          console.log(`🏷️  Tags: ${tags.join(', ') || 'none'}`);
+          return;
+        }
+
+        case 'fork': {
+          const total = sessionManager.currentSession.conversations.length;
+          const count = name ? parseInt(name) : total;
+          if (!(count >= 0 && count <= total)) throw new Error(`Fork after a conversation between 0 and ${total}`);
+          const fork = sessionManager.forkSession(sessionManager.currentSession.id, count);
+          sessionManager.loadSession(fork.id);
+          console.log(`🍴 Forked after conversation ${count}; the original session is unchanged`);
+          break;
+        }
+
+        default:
+          throw new Error(`Usage: ${CHAT_COMMANDS.session.usage}`);
+      }
+      Object.assign(state, { lastInput: null, lastResult: null, lastTurnIndex: null });
+      describeChatSession(sessionManager);
+    }
+  },
+
+  clear: {
+    usage: '/clear',
+    description: 'Start a fresh context; earlier turns stay in the session',
+    run: async (args, state, sessionManager) => {
+      const session = sessionManager.currentSession;
+      session.contextSummary = { throughIndex: session.conversations.length, text: '' };
+      sessionManager.saveSession();
+      state.lastTurnIndex = null;
+      console.clear();
+      console.log('🧹 Context cleared, the next message starts a new conversation');
+    }
+  },
+
+  exit: {
+    usage: '/exit',
+    description: 'Leave the chat',
+    run: () => 'exit'
+  }
+};
+
+// =====================
+// HANDLER FUNCTIONS
+// =====================
+async function handleQuickQuery(sessionManager, options = {}) {
+  if (!sessionManager.currentSession) {
+    sessionManager.createSession();
+    console.log(`✅ Created new session: ${sessionManager.currentSession.name}`);
   }
 
+  const input = options.input ?? await ask('\n💬 Enter your question: ');
+  if (!input.trim()) return { success: false, error: 'Empty query' };
+
+  const { provider: selectedProvider, model, selectedModel } = await resolveModelSelection(options);
+
   console.log(`\n🎯 Using: ${model.name} - ${selectedModel.desc}`);
   
-  const result = await runAgent(selectedProvider, 'Quick Query', input, selectedModel.id);
+  const result = await runAgent(selectedProvider, 'Quick Query', input, selectedModel.id, {
+    ...options,
+    system: resolveSystemPrompt(options),
+    params: resolveGenerationParams(null, options.params)
+  });
   
   if (result.success) {
-    await exportResult(result.result, 'Quick Query', `${model.name} (${selectedModel.id})`);
-    sessionManager.addConversation(input, result.result, selectedProvider, 'Quick Query', {
+    await exportResult(result.result, 'Quick Query', describeAnswer(result, selectedModel.id), {
+      ...options,
+      fallbackUsed: result.fallbackAttempts.length > 0
+    });
+    sessionManager.addConversation(input, result.result, result.provider, 'Quick Query', {
       model: selectedModel.id,
-      cost: selectedModel.cost
+      ...answerMetadata(result),
+      ...usageMetadata(result),
+      ...generationMetadata(result)
     });
   } else {
     console.log(`❌ Query failed: ${result.error}`);
   }
+
+  return result;
+}
+
+/**
+ * Multi-turn chat in the current session: each message is sent with the
+ * earlier turns as context. A loaded session continues where it left off,
+ * with its last model or another one. Headless runs send a single turn.
+ */
+async function handleChat(sessionManager, options = {}) {
+  if (!sessionManager.currentSession) {
+    sessionManager.createSession(headless ? null : `chat_${new Date().toISOString().split('T')[0]}`);
+    console.log(`✅ Created new session: ${sessionManager.currentSession.name}`);
+  }
+
+  const session = sessionManager.currentSession;
+  const earlierTurns = sessionManager.getRecentContext().length;
+  if (earlierTurns > 0) {
+    console.log(`\n📜 Continuing "${session.name}" with ${earlierTurns} earlier turns as context`);
+  }
+
+  // Resuming defaults to the model the session last used
+  let selectionOptions = options;
+  const previous = lastModelRef(session);
+  if (!options.provider && previous && isProviderAvailable(previous.provider)) {
+    const reuse = headless ? 'y' : await ask(`Continue with ${formatModelRef(previous)}? (y/n, default: y): `);
+    if (reuse.trim().toLowerCase() !== 'n') {
+      selectionOptions = { ...options, provider: previous.provider, model: previous.model };
+    }
+  }
+  const { provider, selectedModel } = await resolveModelSelection(selectionOptions);
+  const state = createChatState(provider, selectedModel, options);
+
+  if (options.input !== undefined) {
+    if (!options.input.trim()) return { success: false, error: 'Empty message' };
+    const result = await sendChatTurn(sessionManager, state, options.input);
+    if (result.success) {
+      await exportResult(result.result, 'Chat', describeAnswer(result, selectedModel.id), {
+        ...options,
+        fallbackUsed: result.fallbackAttempts.length > 0
+      });
+    }
+    return result;
+  }
+
+  console.log(`\n💬 Chatting with ${formatModelRef({ provider, model: selectedModel.id })}. Type /help for commands, /exit to leave.`);
+  while (true) {
+    const line = (await ask(`\n🧑 You: `)).trim();
+    if (!line) continue;
+    saveInputHistory(line);
+    if (['exit', 'quit'].includes(line.toLowerCase())) break;
+
+    if (line.startsWith('/')) {
+      const [name, ...args] = line.slice(1).split(/\s+/);
+      const command = CHAT_COMMANDS[name.toLowerCase()];
+      if (!command) {
+        console.log(`❓ Unknown command /${name}. Type /help for the list.`);
+        continue;
+      }
+      try {
+        if (await command.run(args, state, sessionManager) === 'exit') break;
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+      }
+      continue;
+    }
+
+    state.lastResult = await sendChatTurn(sessionManager, state, line);
+  }
+  return state.lastResult || { success: false, error: 'No messages sent' };
+}
+
+/**
+ * Rounds, stances and moderator for a debate, from the run options, then
+ * the `debate` config, then by asking; headless runs use the defaults and
+ * the first agent as moderator.
+ */
+async function resolveDebateOptions(options, agents, availableAgents) {
+  const settings = CONFIG.debate || {};
+
+  let rounds = options.rounds ?? settings.rounds;
+  if (rounds === undefined && !headless) {
+    rounds = (await ask(`🔁 Number of debate rounds (default: ${DEFAULT_DEBATE_ROUNDS}): `)).trim() || undefined;
+  }
+  rounds = Number(rounds ?? DEFAULT_DEBATE_ROUNDS);
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_DEBATE_ROUNDS) {
+    throw new CliUsageError(`Rounds must be a whole number from 1 to ${MAX_DEBATE_ROUNDS}`);
+  }
+
+  let stanceSetting = options.stances ?? settings.stances;
+  if (stanceSetting === undefined && !headless && agents.length > 1) {
+    const answer = await ask('⚖️  Assign pro/con stances to the agents? (y/n, default: n): ');
+    stanceSetting = answer.trim().toLowerCase() === 'y' ? 'auto' : 'none';
+  }
+  const stances = parseStances(stanceSetting, agents.length);
+  stances.forEach((stance, index) => console.log(`   ${agents[index].provider}-${agents[index].model}: ${stance}`));
+
+  let moderator;
+  const moderatorSetting = options.moderator ?? settings.moderator;
+  if (moderatorSetting === 'none' || moderatorSetting === false) {
+    moderator = null;
+  } else if (moderatorSetting) {
+    moderator = parseModelRef(moderatorSetting);
+    if (!MODELS[moderator.provider] || !moderator.model) {
+      throw new CliUsageError(`Invalid moderator "${moderatorSetting}", expected provider:model`);
+    }
+  } else if (headless) {
+    moderator = agents[0];
+  } else {
+    const choices = [...availableAgents, { desc: 'No moderator (show the final positions)' }];
+    const defaultIndex = Math.max(0, availableAgents.findIndex(a => a.provider === agents[0].provider && a.model === agents[0].model));
+    const choice = await selectFromList(choices, '⚖️  Choose the moderator that judges the debate:', defaultIndex);
+    moderator = choice < availableAgents.length ? availableAgents[choice] : null;
+  }
+
+  return { rounds, stances, moderator: moderator && { provider: moderator.provider, model: moderator.model } };
+}
+
+/**
+ * Judge model for consensus scoring, from the run options, then the
+ * `consensus` config, then by asking; headless runs score locally only.
+ */
+async function resolveConsensusOptions(options, agents, availableAgents) {
+  const setting = options.judge ?? CONFIG.consensus?.judge;
+  if (setting === 'none' || setting === false) return { judge: null };
+  if (setting) {
+    const judge = parseModelRef(setting);
+    if (!MODELS[judge.provider] || !judge.model) {
+      throw new CliUsageError(`Invalid judge "${setting}", expected provider:model`);
+    }
+    return { judge };
+  }
+  if (headless || agents.length < 2) return { judge: null };
+
+  const choices = [{ desc: 'No judge (local agreement scoring only)' }, ...availableAgents];
+  const choice = await selectFromList(choices, '⚖️  Choose a judge model to compare the answers:', 0);
+  const judge = choice > 0 ? availableAgents[choice - 1] : null;
+  return { judge: judge && { provider: judge.provider, model: judge.model } };
+}
+
+/**
+ * The pipeline to run: `options.pipeline` (a name or file), otherwise a
+ * saved pipeline picked from the list. Null means the default pipeline
+ * over the selected agents.
+ */
+async function resolvePipeline(options) {
+  if (options.pipeline) return findPipeline(options.pipeline);
+  if (headless) return null;
+
+  const saved = await listSavedPipelines();
+  if (saved.length === 0) return null;
+  const choices = [
+    'Ad-hoc: the selected agents in order (analyst → reviewer → editor)',
+    ...saved.map(pipeline => `${pipeline.name} (${pipeline.steps.length} steps)${pipeline.description ? ` - ${pipeline.description}` : ''}`)
+  ];
+  const choice = await selectFromList(choices, '🔗 Choose a pipeline:', 0);
+  return choice > 0 ? saved[choice - 1] : null;
 }
 
-async function handleMultiAgentMode(sessionManager) {
+async function handleMultiAgentMode(sessionManager, options = {}) {
   if (!sessionManager.currentSession) {
     sessionManager.createSession();
   }
 
-  const input = await ask('\n💬 Enter your question for multi-agent analysis: ');
-  if (!input.trim()) return;
+  const input = options.input ?? await ask('\n💬 Enter your question for multi-agent analysis: ');
+  if (!input.trim()) return { success: false, error: 'Empty query' };
 
   const modes = ['Debate', 'Pipeline', 'Consensus'];
-  const modeIndex = await selectFromList(modes, "Choose collaboration mode:", 0);
-  const selectedMode = modes[modeIndex];
+  let selectedMode;
+  if (options.mode) {
+    selectedMode = modes.find(m => m.toLowerCase() === options.mode.toLowerCase());
+    if (!selectedMode) {
+      throw new Error(`Unknown mode "${options.mode}". Available: ${modes.join(', ').toLowerCase()}`);
+    }
+  } else {
+    const modeIndex = await selectFromList(modes, "Choose collaboration mode:", 0);
+    selectedMode = modes[modeIndex];
+  }
+  const pipeline = selectedMode === 'Pipeline' ? await resolvePipeline(options) : null;
 
-  const orchestrator = new MultiAgentOrchestrator(MODELS);
+  const orchestrator = new MultiAgentOrchestrator(MODELS, {
+    system: resolveSystemPrompt(options),
+    params: resolveGenerationParams(null, options.params)
+  });
   
   // Select agents
   const availableAgents = [];
   Object.entries(MODELS).forEach(([provider, model]) => {
-    if (model.key || provider === 'ollama') {
+    if (isProviderAvailable(provider)) {
       model.models.slice(0, 2).forEach(subModel => {
         availableAgents.push({
           provider,
@@ -994,78 +5705,138 @@ async function handleMultiAgentMode(sessionManager) {
     }
   });
 
-  console.log('\n🤖 Select 2-3 agents for collaboration:');
-  const selectedAgents = [];
-  
-  for (let i = 0; i < Math.min(3, availableAgents.length); i++) {
-    if (i > 0) {
-      const addMore = await ask(`Add another agent? (y/n, default: ${i < 2 ? 'y' : 'n'}): `);
-      if (addMore.trim().toLowerCase() !== 'y' && i >= 2) break;
-      if (addMore.trim().toLowerCase() === 'n') break;
-    }
-    
-    const agentIndex = await selectFromList(
-      availableAgents.filter(a => !selectedAgents.some(sa => sa.provider === a.provider && sa.model === a.model)),
-      `Choose agent ${i + 1}:`,
-      0
-    );
+  let selectedAgents = [];
+  if (options.agents) {
+    selectedAgents = options.agents.map(agent => {
+      if (!MODELS[agent.provider]) throw new Error(`Unknown provider "${agent.provider}"`);
+      return { ...agent, desc: `${MODELS[agent.provider].name} - ${agent.model}` };
+    });
+  } else if (pipeline?.steps.every(step => step.agent)) {
+    pipeline.steps.forEach(({ agent }) => {
+      if (!selectedAgents.some(a => a.provider === agent.provider && a.model === agent.model)) {
+        selectedAgents.push({ ...agent, desc: `${MODELS[agent.provider].name} - ${agent.model}` });
+      }
+    });
+  } else if (headless) {
+    selectedAgents = availableAgents.slice(0, 2);
+  } else {
+    console.log('\n🤖 Select 2-3 agents for collaboration:');
     
-    const availableFiltered = availableAgents.filter(a => !selectedAgents.some(sa => sa.provider === a.provider && sa.model === a.model));
-    selectedAgents.push(availableFiltered[agentIndex]);
+    for (let i = 0; i < Math.min(3, availableAgents.length); i++) {
+      if (i > 0) {
+        const addMore = await ask(`Add another agent? (y/n, default: ${i < 2 ? 'y' : 'n'}): `);
+        if (addMore.trim().toLowerCase() !== 'y' && i >= 2) break;
+        if (addMore.trim().toLowerCase() === 'n') break;
+      }
+      
+      const agentIndex = await selectFromList(
+        availableAgents.filter(a => !selectedAgents.some(sa => sa.provider === a.provider && sa.model === a.model)),
+        `Choose agent ${i + 1}:`,
+        0
+      );
+      
+      const availableFiltered = availableAgents.filter(a => !selectedAgents.some(sa => sa.provider === a.provider && sa.model === a.model));
+      selectedAgents.push(availableFiltered[agentIndex]);
+    }
+  }
+
+  if (selectedAgents.length === 0) {
+    throw new Error('No agents available. Configure an API key or start Ollama.');
   }
 
-  console.log(`\n🚀 Starting ${selectedMode} mode with ${selectedAgents.length} agents...`);
+  const modeOptions = selectedMode === 'Debate' ? await resolveDebateOptions(options, selectedAgents, availableAgents)
+    : selectedMode === 'Consensus' ? await resolveConsensusOptions(options, selectedAgents, availableAgents)
+    : { pipeline };
+
+  console.log(pipeline
+    ? `\n🚀 Starting pipeline "${pipeline.name}" with ${pipeline.steps.length} steps...`
+    : `\n🚀 Starting ${selectedMode} mode with ${selectedAgents.length} agents...`);
   
-  const result = await orchestrator.runCollaboration(input, selectedMode, selectedAgents, 'Multi-Agent Analysis');
+  const result = await orchestrator.runCollaboration(input, selectedMode, selectedAgents, 'Multi-Agent Analysis', modeOptions);
   
   if (result) {
-    await exportResult(result, `Multi-Agent ${selectedMode}`, selectedAgents.map(a => a.desc).join(', '));
+    const totals = summarizeUsage(orchestrator.calls);
+    if (totals.requests > 0) console.log(`\n📊 ${totals.requests} agent calls: ${formatUsage(totals, totals.cost)}`);
+    await exportResult(result, `Multi-Agent ${selectedMode}`, selectedAgents.map(a => a.desc).join(', '), options);
     sessionManager.addConversation(input, result, 'multi-agent', `${selectedMode} Mode`, {
       agents: selectedAgents,
-      mode: selectedMode
+      mode: selectedMode,
+      ...(orchestrator.debate ? { debate: orchestrator.debate } : {}),
+      ...(orchestrator.consensus ? { consensus: orchestrator.consensus } : {}),
+      ...(orchestrator.pipeline ? { pipeline: orchestrator.pipeline } : {}),
+      calls: orchestrator.calls,
+      ...generationMetadata(orchestrator),
+      ...(totals.requests > 0 ? usageMetadata({
+        usage: totals,
+        cost: totals.unpriced === totals.requests ? null : totals.cost
+      }) : {})
     });
+    return { success: true, result };
   }
+
+  return { success: false, error: `${selectedMode} mode produced no result` };
 }
 
 // /**** START OF MODIFIED SECTION ****/
-async function handleCustomTask(sessionManager) {
+// Task options mapping user-friendly names to PROMPTS keys
+const TASK_OPTIONS = {
+  'Bug Analysis': 'BUG_ANALYSIS',
+  'Test Data Generator': 'TEST_DATA_GENERATOR',
+  'Scenario Priority Analysis': 'SCENARIO_PRIORITY_ANALYSIS',
+  'API Contract Test': 'API_CONTRACT_TEST',
+  'Custom Task (No Special Prompt)': 'CUSTOM_TASK'
+};
+
+// Accepts a display name, a PROMPTS key or a CLI-style id like "bug_analysis"
+function findTaskName(task) {
+  const normalized = task.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return Object.keys(TASK_OPTIONS).find(name =>
+    TASK_OPTIONS[name] === normalized ||
+    name.toUpperCase().replace(/\s+/g, '_') === normalized ||
+    (normalized === 'CUSTOM' && TASK_OPTIONS[name] === 'CUSTOM_TASK')
+  );
+}
+
+async function handleCustomTask(sessionManager, options = {}) {
   console.log('\n⚙️  Custom Task Builder');
   console.log('Create a specialized AI task with custom prompts and parameters.');
 
-  // Define task options mapping user-friendly names to PROMPTS keys
-  const taskOptions = {
-    'Bug Analysis': 'BUG_ANALYSIS',
-    'Test Data Generator': 'TEST_DATA_GENERATOR',
-    'Scenario Priority Analysis': 'SCENARIO_PRIORITY_ANALYSIS',
-    'API Contract Test': 'API_CONTRACT_TEST',
-    'Custom Task (No Special Prompt)': 'CUSTOM_TASK'
-  };
-  const taskDisplayNames = Object.keys(taskOptions);
-  
-  const taskIndex = await selectFromList(taskDisplayNames, "Choose task type:", 0);
-  const selectedTaskName = taskDisplayNames[taskIndex];
-  const selectedTaskKey = taskOptions[selectedTaskName];
+  const taskDisplayNames = Object.keys(TASK_OPTIONS);
+  let selectedTaskName;
+  if (options.task) {
+    selectedTaskName = findTaskName(options.task);
+    if (!selectedTaskName) {
+      const ids = Object.values(TASK_OPTIONS).map(key => key.toLowerCase());
+      throw new Error(`Unknown task "${options.task}". Available: ${ids.join(', ')}`);
+    }
+  } else {
+    const taskIndex = await selectFromList(taskDisplayNames, "Choose task type:", 0);
+    selectedTaskName = taskDisplayNames[taskIndex];
+  }
+  const selectedTaskKey = TASK_OPTIONS[selectedTaskName];
   
-  let input;
-  let customPrompt = '';
+  let input = options.input;
+  let customPrompt = options.instructions || '';
 
   // Special handling for API Contract Test
   if (selectedTaskKey === 'API_CONTRACT_TEST') {
-    console.log('\n📝 Enter example JSON payload (you can paste the full object). End input with an empty line:');
-    const lines = [];
-    while (true) {
-        const line = await ask('');
-        if (line.trim() === '' && lines.length > 0) break;
-        lines.push(line);
-        if (lines.length === 1 && line.trim() === '') {
-            lines.pop(); // Prevent breaking on the very first empty line
-        }
+    if (input === undefined) {
+      console.log('\n📝 Enter example JSON payload (you can paste the full object). End input with an empty line:');
+      const lines = [];
+      while (true) {
+          const line = await ask('');
+          if (line.trim() === '' && lines.length > 0) break;
+          lines.push(line);
+          if (lines.length === 1 && line.trim() === '') {
+              lines.pop(); // Prevent breaking on the very first empty line
+          }
+      }
+      input = lines.join('\n');
     }
-    input = lines.join('\n');
 
     if (!input) {
         console.log("❌ No input provided. Returning to main menu.");
-        return;
+        return { success: false, error: 'No input provided' };
     }
 
     try {
@@ -1076,60 +5847,48 @@ async function handleCustomTask(sessionManager) {
 
   } else {
     // Original flow for other tasks
-    if (selectedTaskKey !== 'CUSTOM_TASK') {
+    if (selectedTaskKey !== 'CUSTOM_TASK' && options.input === undefined) {
         customPrompt = await ask('\n📝 Enter custom instructions (optional): ');
     }
-    input = await ask('💬 Enter your content/question: ');
+    if (input === undefined) {
+      input = await ask('💬 Enter your content/question: ');
+    }
   }
 
   if (!sessionManager.currentSession) {
     sessionManager.createSession();
   }
 
-  // Model selection
-  const providers = Object.keys(MODELS).filter(key => {
-    const model = MODELS[key];
-    return model.key || key === 'ollama';
-  });
-
-  const providerIndex = await selectFromList(providers, "Choose AI provider:", 0);
-  const selectedProvider = providers[providerIndex];
-  const model = MODELS[selectedProvider];
-
-  let selectedModel;
-  if (model.models.length > 1) {
-    const modelIndex = await selectFromList(model.models, `Choose ${model.name} model:`, 0);
-    selectedModel = model.models[modelIndex];
-  } else {
-    selectedModel = model.models[0];
-  }
-
-  // Construct the final prompt
-  let finalPrompt;
-  if (selectedTaskKey === 'CUSTOM_TASK') {
-      finalPrompt = input;
-  } else {
-      finalPrompt = PROMPTS[selectedTaskKey] || '';
-      if (customPrompt.trim()) {
-        finalPrompt += `\n\nAdditional instructions: ${customPrompt}`;
-      }
-      finalPrompt += `\n\nContent to process:\n${input}`;
-  }
+  // Model selection
+  const { provider: selectedProvider, model, selectedModel } = await resolveModelSelection(options);
+
+  // The template and instructions go in the system message, the content is the user message
+  const template = selectedTaskKey === 'CUSTOM_TASK' ? '' : PROMPTS[selectedTaskKey] || '';
+  const system = resolveSystemPrompt(options, template, customPrompt);
+  const params = resolveGenerationParams(selectedTaskKey.toLowerCase(), options.params);
 
   console.log(`\n🎯 Running custom "${selectedTaskName}" task...`);
   
-  const result = await runAgent(selectedProvider, selectedTaskName, finalPrompt, selectedModel.id);
+  const result = await runAgent(selectedProvider, selectedTaskName, input, selectedModel.id, { ...options, system, params });
   
   if (result.success) {
     const cleanTaskName = selectedTaskName.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '').toLowerCase();
-    await exportResult(result.result, cleanTaskName, `${model.name} (${selectedModel.id})`);
-    sessionManager.addConversation(input, result.result, selectedProvider, `Custom ${selectedTaskName}`, {
+    await exportResult(result.result, cleanTaskName, describeAnswer(result, selectedModel.id), {
+      ...options,
+      fallbackUsed: result.fallbackAttempts.length > 0
+    });
+    sessionManager.addConversation(input, result.result, result.provider, `Custom ${selectedTaskName}`, {
       model: selectedModel.id,
-      customPrompt: customPrompt || null
+      customPrompt: customPrompt || null,
+      ...answerMetadata(result),
+      ...usageMetadata(result),
+      ...generationMetadata(result)
     });
   } else {
     console.log(`❌ Task failed: ${result.error}`);
   }
+
+  return result;
 }
 // /**** END OF MODIFIED SECTION ****/
 
@@ -1140,7 +5899,14 @@ async function handleSessionManagement(sessionManager) {
     '📁 List All Sessions',
     '🔄 Load Session',
     '✨ New Session',
+    '🏷️ Rename, Tag, Notes & Fork',
     '📊 Session Statistics',
+    '📜 Export Transcript',
+    '🔎 Search Sessions',
+    '📦 Export / Import / Merge',
+    '🩹 Repair Damaged Sessions',
+    '🧹 Cleanup & Retention',
+    '🗄️ Response Cache',
     '🔑 Manage API Keys',
     '🗑️ Delete Session',
     '⬅️ Back to Main Menu'
@@ -1159,11 +5925,14 @@ async function handleSessionManagement(sessionManager) {
         console.log(`Created: ${new Date(session.created).toLocaleString()}`);
         console.log(`Conversations: ${session.conversations.length}`);
         console.log(`Models Used: ${session.models.join(', ') || 'None'}`);
+        if (session.tags?.length) console.log(`Tags: ${session.tags.join(', ')}`);
+        if (session.forkedFrom) console.log(`Forked from: ${session.forkedFrom.name} (${session.forkedFrom.id}) after ${session.forkedFrom.conversations} conversations`);
+        if (session.notes) console.log(`Notes: ${session.notes}`);
         
         if (session.conversations.length > 0) {
           console.log('\n📝 Recent Conversations:');
           session.conversations.slice(-3).forEach((conv, index) => {
-            console.log(`${index + 1}. ${conv.task} (${conv.model}) - ${conv.timestamp}`);
+            console.log(`${index + 1}. ${conv.task} (${conv.metadata?.answeredBy || conv.model}) - ${conv.timestamp}`);
             console.log(`   Input: ${conv.input.substring(0, 100)}...`);
           });
         }
@@ -1173,29 +5942,32 @@ async function handleSessionManagement(sessionManager) {
       break;
       
     case 1: // List All
-      const sessions = sessionManager.listSessions();
-      if (sessions.length === 0) {
+      const allSessions = sessionManager.listSessions();
+      if (allSessions.length === 0) {
         console.log('\n📭 No sessions found');
       } else {
+        const sessions = await filterSessionsByTag(allSessions);
         console.log('\n📁 All Sessions:');
         console.log('='.repeat(60));
         sessions.forEach((session, index) => {
           console.log(`${index + 1}. ${session.name} (${session.id})`);
           console.log(`   Created: ${new Date(session.created).toLocaleString()}`);
           console.log(`   Conversations: ${session.conversations}`);
+          if (session.tags.length) console.log(`   Tags: ${session.tags.join(', ')}`);
+          if (session.notes) console.log(`   Notes: ${session.notes.length > 100 ? `${session.notes.substring(0, 100)}...` : session.notes}`);
         });
       }
       break;
       
     case 2: // Load Session
-      const loadSessions = sessionManager.listSessions();
-      if (loadSessions.length === 0) {
+      if (sessionManager.listSessions().length === 0) {
         console.log('\n❌ No sessions to load');
         break;
       }
+      const loadSessions = await filterSessionsByTag(sessionManager.listSessions());
       
       const sessionIndex = await selectFromList(
-        loadSessions.map(s => `${s.name} (${s.conversations} conversations)`),
+        loadSessions.map(formatSessionLabel),
         "Choose session to load:",
         0
       );
@@ -1203,6 +5975,10 @@ async function handleSessionManagement(sessionManager) {
       const loadedSession = sessionManager.loadSession(loadSessions[sessionIndex].id);
       if (loadedSession) {
         console.log(`✅ Loaded session: ${loadedSession.name}`);
+        if (sessionManager.getRecentContext().length > 0) {
+          const resume = await ask('💬 Continue this conversation now? (y/n, default: n): ');
+          if (resume.trim().toLowerCase() === 'y') await handleChat(sessionManager);
+        }
       } else {
         console.log('❌ Failed to load session');
       }
@@ -1214,41 +5990,93 @@ async function handleSessionManagement(sessionManager) {
       console.log(`✅ Created new session: ${newSession.name}`);
       break;
       
-    case 4: // Statistics
+    case 4: // Rename, Tag, Notes & Fork
+      await editSessionDetails(sessionManager);
+      break;
+
+    case 5: // Statistics
       if (sessionManager.currentSession) {
         const session = sessionManager.currentSession;
+        const stats = sessionStatistics(session);
         console.log('\n📊 Session Statistics:');
         console.log('='.repeat(40));
-        console.log(`Total Requests: ${session.totalRequests}`);
-        console.log(`Unique Models: ${session.models.length}`);
-        
-        const taskStats = {};
-        session.conversations.forEach(conv => {
-          taskStats[conv.task] = (taskStats[conv.task] || 0) + 1;
-        });
+        console.log(`Total Requests: ${stats.totalRequests}`);
+        console.log(`Unique Models: ${stats.models.length}`);
         
         console.log('\n📈 Task Breakdown:');
-        Object.entries(taskStats).forEach(([task, count]) => {
+        Object.entries(stats.tasks).forEach(([task, count]) => {
           console.log(`  ${task}: ${count} times`);
         });
+
+        const totals = stats.usage;
+        console.log('\n💰 Token Usage & Cost:');
+        if (totals.requests === 0) {
+          console.log('  No usage recorded in this session');
+        } else {
+          console.log(`  Total: ${formatUsage(totals, totals.cost)}`);
+          if (totals.requests < stats.conversations) {
+            console.log(`  (${stats.conversations - totals.requests} requests without usage data)`);
+          }
+          Object.entries(stats.modelUsage).forEach(([modelName, modelTotals]) => {
+            console.log(`  ${modelName}: ${formatUsage(modelTotals, modelTotals.cost)}`);
+          });
+        }
+
+        ['session', 'daily'].forEach(scope => {
+          const limit = budgetTracker.limits[scope];
+          if (!limit) return;
+          console.log(`  ${scope} budget: ${formatBudget(budgetTracker.spentFor(scope), limit)} of ${formatBudget(limit)} used`);
+        });
       } else {
         console.log('\n❌ No active session for statistics');
       }
       break;
 
-    case 5: // Manage API Keys 
+    case 6: // Transcript
+      await handleTranscriptExport(sessionManager);
+      break;
+
+    case 7: // Search
+      await handleSessionSearch(sessionManager);
+      break;
+
+    case 8: // Bundles
+      await manageSessionBundles(sessionManager);
+      break;
+
+    case 9: { // Repair
+      const { results, removedTemp } = repairSessions(sessionManager);
+      if (results.length === 0) {
+        console.log('\n✅ No damaged session files found');
+      } else {
+        console.log('\n🩹 Repair results:');
+        results.forEach(result => console.log(formatRepairResult(result)));
+      }
+      if (removedTemp > 0) console.log(`🧹 Removed ${removedTemp} leftover temporary files`);
+      break;
+    }
+
+    case 10: // Retention
+      await manageRetention(sessionManager);
+      break;
+
+    case 11: // Response Cache
+      await manageResponseCache();
+      break;
+
+    case 12: // Manage API Keys 
       await manageApiKeys();
       break;
 
-    case 6: // Delete Session
-      const deleteSessions = sessionManager.listSessions();
-      if (deleteSessions.length === 0) {
+    case 13: // Delete Session
+      if (sessionManager.listSessions().length === 0) {
         console.log('\n❌ No sessions to delete');
         break;
       }
+      const deleteSessions = await filterSessionsByTag(sessionManager.listSessions());
       
       const deleteIndex = await selectFromList(
-        deleteSessions.map(s => `${s.name} (${s.conversations} conversations)`),
+        deleteSessions.map(formatSessionLabel),
         "Choose session to delete:",
         0
       );
@@ -1256,12 +6084,11 @@ async function handleSessionManagement(sessionManager) {
       const confirmDelete = await ask(`\n⚠️  Really delete "${deleteSessions[deleteIndex].name}"? (yes/no): `);
       if (confirmDelete.toLowerCase() === 'yes') {
         try {
-          const filePath = path.join(sessionManager.sessionsDir, `${deleteSessions[deleteIndex].id}.json`);
-          fs.unlinkSync(filePath);
+          const wasCurrent = sessionManager.currentSession?.id === deleteSessions[deleteIndex].id;
+          removeSessions(sessionManager, [deleteSessions[deleteIndex].id], { archive: false });
           console.log('✅ Session deleted successfully');
           
-          if (sessionManager.currentSession?.id === deleteSessions[deleteIndex].id) {
-            sessionManager.currentSession = null;
+          if (wasCurrent) {
             console.log('ℹ️  Current session cleared');
           }
         } catch (error) {
@@ -1270,16 +6097,476 @@ async function handleSessionManagement(sessionManager) {
       }
       break;
       
-    case 7: // Back
+    case 14: // Back
       return;
   }
   
-  if (actionIndex !== 7) {
+  if (actionIndex !== 14) {
     await ask('\nPress Enter to continue...');
     await handleSessionManagement(sessionManager);
   }
 }
 
+// "2026-03-01" or "2026-03-01..2026-03-07" -> { since, until }
+function parseDateRange(text) {
+  const [from, to] = text.split('..').map(part => part.trim());
+  if (!from) return {};
+  return { since: parseSearchDate(from), until: parseSearchDate(to || from, true) };
+}
+
+async function handleTranscriptExport(sessionManager) {
+  const sessions = sessionManager.listSessions();
+  if (sessions.length === 0) {
+    console.log('\n📭 No sessions found');
+    return;
+  }
+
+  const currentIndex = Math.max(0, sessions.findIndex(s => s.id === sessionManager.currentSession?.id));
+  const sessionIndex = await selectFromList(
+    sessions.map(s => `${s.name} (${s.conversations} conversations, ${s.id})`),
+    'Choose session for the transcript:',
+    currentIndex
+  );
+  const session = sessionManager.readSessionFile(sessions[sessionIndex].id);
+  if (!session) return;
+
+  const formatKeys = Object.keys(TRANSCRIPT_RENDERERS);
+  const formatIndex = await selectFromList(
+    formatKeys.map(key => `${EXPORT_FORMATS[key].icon} ${EXPORT_FORMATS[key].name} (${EXPORT_FORMATS[key].extension})`),
+    'Choose transcript format:',
+    0
+  );
+  const formatKey = formatKeys[formatIndex];
+
+  const rangeText = await ask('📅 Only a date range? (YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD, Enter for all): ');
+  const out = (await ask('📁 Export directory or file (default: ./output/): ')).trim() || './output/';
+  try {
+    const content = generateSessionTranscript(session, formatKey, parseDateRange(rangeText.trim()));
+    writeOutputFile(content, `transcript_${session.name}`, EXPORT_FORMATS[formatKey], out);
+  } catch (error) {
+    console.log(`❌ Transcript export failed: ${error.message}`);
+  }
+}
+
+async function handleSessionSearch(sessionManager) {
+  console.log('\n🔎 Search Sessions');
+  console.log('Keywords must all appear; use "quotes" for phrases, or /pattern/ for a regex.');
+
+  const query = (await ask('\nSearch for: ')).trim();
+  if (!query) return;
+  const filterLine = await ask('Filters (optional, e.g. model=gpt-4o task=bug since=2026-01-01 until=2026-01-31 tag=payments): ');
+
+  const regex = /^\/.+\/$/.test(query);
+  let hits;
+  try {
+    const filters = parseSearchFilters(Object.fromEntries(
+      filterLine.trim().split(/\s+/).filter(Boolean).map(pair => pair.split(/=(.*)/s).slice(0, 2))
+    ));
+    hits = new SessionSearchIndex(sessionManager).search(regex ? query.slice(1, -1) : query, { regex, filters });
+  } catch (error) {
+    console.log(`❌ Search failed: ${error.message}`);
+    return;
+  }
+  if (hits.length === 0) {
+    console.log('\n📭 No matches');
+    return;
+  }
+
+  console.log(`\n🎯 ${hits.length} matches:`);
+  hits.forEach((hit, index) => console.log(formatSearchHit(hit, index + 1)));
+
+  const choice = parseInt((await ask(`\nOpen a match (1-${hits.length}, Enter to go back): `)).trim()) - 1;
+  const hit = hits[choice];
+  if (!hit) return;
+
+  const actions = ['🔄 Load Session', '💾 Export This Conversation', '⬅️ Back'];
+  const actionIndex = await selectFromList(actions, `${hit.sessionName} #${hit.index + 1}:`, 0, true);
+  if (actionIndex === 0) {
+    const session = sessionManager.loadSession(hit.sessionId);
+    console.log(session ? `✅ Loaded session: ${session.name}` : '❌ Failed to load session');
+  } else if (actionIndex === 1) {
+    const conv = sessionManager.readSessionFile(hit.sessionId)?.conversations[hit.index];
+    if (!conv) {
+      console.log('❌ Conversation no longer exists');
+      return;
+    }
+    await exportResult(conv.output, conv.task, hit.model);
+  }
+}
+
+// Narrows a session list by tag, when any session has tags
+async function filterSessionsByTag(sessions) {
+  const tags = normalizeTags(sessions.flatMap(s => s.tags || []));
+  if (tags.length === 0) return sessions;
+  const tag = (await ask(`🏷️  Filter by tag (${tags.join(', ')}; Enter for all): `)).trim().replace(/^#/, '');
+  if (!tag) return sessions;
+  const filtered = sessions.filter(s => sessionHasTag(s, tag));
+  if (filtered.length === 0) console.log(`📭 No sessions tagged "${tag}", showing all`);
+  return filtered.length ? filtered : sessions;
+}
+
+async function editSessionDetails(sessionManager) {
+  if (sessionManager.listSessions().length === 0) {
+    console.log('\n📭 No sessions found');
+    return;
+  }
+  const sessions = await filterSessionsByTag(sessionManager.listSessions());
+  const currentIndex = Math.max(0, sessions.findIndex(s => s.id === sessionManager.currentSession?.id));
+  const sessionIndex = await selectFromList(sessions.map(formatSessionLabel), 'Choose session:', currentIndex);
+  const target = sessions[sessionIndex];
+
+  const actions = ['✏️ Rename', '🏷️ Edit Tags', '📝 Edit Notes', '🍴 Fork at a Conversation', '⬅️ Back'];
+  const actionIndex = await selectFromList(actions, `${target.name}:`, 0, true);
+
+  switch (actionIndex) {
+    case 0: { // Rename
+      const name = (await ask(`\n✏️  New name (current: ${target.name}): `)).trim();
+      if (!name) break;
+      sessionManager.updateSession(target.id, { name });
+      console.log(`✅ Renamed to "${name}"`);
+      break;
+    }
+
+    case 1: { // Tags
+      console.log(`\n🏷️  Current tags: ${target.tags.join(', ') || 'none'}`);
+      const answer = (await ask('Tags to add, -tag to remove (e.g. project:payments sprint:14 PAY-123 -draft): ')).trim();
+      if (!answer) break;
+      const words = answer.split(/[\s,]+/).filter(Boolean);
+      const removed = words.filter(word => word.startsWith('-')).map(word => word.slice(1).toLowerCase());
+      const tags = normalizeTags([...target.tags, ...words.filter(word => !word.startsWith('-'))])
+        .filter(tag => !removed.includes(tag.toLowerCase()));
+      sessionManager.updateSession(target.id, { tags });
+      console.log(`✅ Tags: ${tags.join(', ') || 'none'}`);
+      break;
+    }
+
+    case 2: { // Notes
+      if (target.notes) console.log(`\n📝 Current notes: ${target.notes}`);
+      const notes = (await ask('\n📝 Notes (replaces the current ones; "-" clears, Enter keeps): ')).trim();
+      if (!notes) break;
+      sessionManager.updateSession(target.id, { notes: notes === '-' ? undefined : notes });
+      console.log(notes === '-' ? '✅ Notes cleared' : '✅ Notes saved');
+      break;
+    }
+
+    case 3: { // Fork
+      const session = sessionManager.readSessionFile(target.id);
+      if (!session) break;
+      const total = session.conversations.length;
+      if (total === 0) {
+        console.log('\n❌ The session has no conversations to fork from');
+        break;
+      }
+      console.log('');
+      session.conversations.forEach((conv, index) => {
+        console.log(`${index + 1}. ${conv.task} (${conversationModel(conv)}) - ${formatTimestamp(conv.timestamp)}`);
+        console.log(`   Input: ${String(conv.input ?? '').replace(/\s+/g, ' ').substring(0, 80)}`);
+      });
+      const answer = (await ask(`\n🍴 Keep conversations 1 to (1-${total}, default: ${total}): `)).trim();
+      const count = answer ? parseInt(answer) : total;
+      if (!(count >= 1 && count <= total)) {
+        console.log('❌ Invalid conversation number');
+        break;
+      }
+      const name = (await ask('📝 Name for the fork (optional): ')).trim();
+      const fork = sessionManager.forkSession(target.id, count, name || null);
+      console.log(`✅ Created "${fork.name}" with ${count} conversations (original kept)`);
+
+      const resume = await ask('💬 Load it and continue chatting? Use /model to try another model (y/n, default: y): ');
+      if (resume.trim().toLowerCase() !== 'n') {
+        sessionManager.loadSession(fork.id);
+        await handleChat(sessionManager);
+      }
+      break;
+    }
+
+    case 4: // Back
+      return;
+  }
+}
+
+// "1,3" or "all" -> sessions from the numbered list
+async function selectSessions(sessions, prompt) {
+  sessions.forEach((session, index) => {
+    console.log(`${index + 1}. ${session.name} (${session.conversations} conversations, ${session.id})`);
+  });
+  const answer = (await ask(`\n${prompt} (e.g. 1,3 or all): `)).trim().toLowerCase();
+  if (answer === 'all') return sessions;
+  return [...new Set(answer.split(/[\s,]+/).map(n => parseInt(n) - 1))]
+    .filter(index => index >= 0 && index < sessions.length)
+    .map(index => sessions[index]);
+}
+
+async function manageSessionBundles(sessionManager) {
+  const actions = [
+    '📤 Export Sessions to a Bundle',
+    '📥 Import a Bundle',
+    '🔀 Merge Two Sessions',
+    '⬅️ Back'
+  ];
+  const actionIndex = await selectFromList(actions, 'Export / Import / Merge:', 0, true);
+  const sessions = sessionManager.listSessions();
+
+  switch (actionIndex) {
+    case 0: { // Export
+      if (sessions.length === 0) {
+        console.log('\n📭 No sessions found');
+        break;
+      }
+      console.log('\n📁 Sessions:');
+      const selected = await selectSessions(sessions, 'Sessions to export');
+      if (selected.length === 0) break;
+
+      const defaultPath = path.join('./output', defaultBundleName(selected));
+      const filePath = (await ask(`File (.gz to compress, default: ${defaultPath}): `)).trim() || defaultPath;
+      try {
+        const size = writeBundleFile(filePath, createSessionBundle(sessionManager, selected.map(s => s.id)));
+        console.log(`\n✅ Exported ${selected.length} sessions to ${filePath} (${(size / 1024).toFixed(1)} KB)`);
+      } catch (error) {
+        console.log(`❌ Export failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 1: { // Import
+      const filePath = (await ask('\n📁 Bundle file: ')).trim();
+      if (!filePath) break;
+      try {
+        const bundle = readBundleFile(filePath);
+        console.log(`📦 ${bundle.sessions.length} sessions, exported ${new Date(bundle.exportedAt).toLocaleString()}`);
+        const conflictActions = ['⏭️ Skip', '♻️ Overwrite', '📑 Import as a copy'];
+        const summary = await importSessionBundle(sessionManager, bundle, {
+          onConflict: async (session, existing) => {
+            const same = sameSessionContent(sessionManager.internalize(session), existing);
+            const choice = await selectFromList(
+              conflictActions,
+              `"${session.name}" (${session.id}) already exists${same ? ' with the same conversations' : ` as "${existing.name}"`}:`,
+              same ? 0 : 2,
+              true
+            );
+            return ['skip', 'overwrite', 'copy'][choice];
+          }
+        });
+        console.log(`\n✅ ${formatImportSummary(summary)}`);
+      } catch (error) {
+        console.log(`❌ Import failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 2: { // Merge
+      if (sessions.length < 2) {
+        console.log('\n❌ At least two sessions are needed to merge');
+        break;
+      }
+      const labels = sessions.map(s => `${s.name} (${s.conversations} conversations, ${s.id})`);
+      const first = await selectFromList(labels, 'First session:', 0);
+      const second = await selectFromList(labels, 'Second session:', first === 0 ? 1 : 0);
+      const name = (await ask('📝 Name for the merged session (optional): ')).trim();
+      try {
+        const merged = mergeSessions(sessionManager, sessions[first].id, sessions[second].id, name || null);
+        console.log(`\n✅ Created "${merged.name}" with ${merged.conversations.length} conversations (originals kept)`);
+        const load = await ask('Load it now? (y/n, default: n): ');
+        if (load.trim().toLowerCase() === 'y') sessionManager.loadSession(merged.id);
+      } catch (error) {
+        console.log(`❌ Merge failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 3: // Back
+      return;
+  }
+}
+
+function describeRetentionPolicy(policy) {
+  const limits = [
+    policy.maxAgeDays ? `older than ${policy.maxAgeDays} days` : null,
+    policy.maxCount ? `more than ${policy.maxCount} sessions` : null,
+    policy.maxSizeMB ? `more than ${policy.maxSizeMB} MB` : null,
+    policy.compactAfter ? `compact after ${policy.compactAfter} conversations (keeping ${policy.keepRecent})` : null
+  ].filter(Boolean);
+  return limits.length ? limits.join(', ') : 'no limits configured';
+}
+
+async function manageRetention(sessionManager) {
+  const actions = [
+    '📏 Apply Retention Policy',
+    '🗃️ Archive Sessions by Filter',
+    '🗑️ Delete Sessions by Filter',
+    '🗜️ Compact a Session',
+    '⬅️ Back'
+  ];
+  const actionIndex = await selectFromList(actions, 'Cleanup & Retention:', 0, true);
+  const policy = retentionSettings();
+
+  switch (actionIndex) {
+    case 0: { // Policy
+      console.log(`\n📏 Retention policy: ${describeRetentionPolicy(policy)}`);
+      console.log(`   Removed sessions are ${policy.archive ? `archived to ${sessionManager.archiveDir}` : 'deleted'}; the current session and sessions tagged "${KEEP_TAG}" are kept.`);
+      const preview = await applyRetention(sessionManager, { dryRun: true, policy });
+      printRetentionReport(preview, true);
+      if (preview.expired.length === 0 && preview.compactions.filter(result => !result.error).length === 0) break;
+
+      const confirm = await ask('\n⚠️  Apply these changes? (yes/no): ');
+      if (confirm.trim().toLowerCase() !== 'yes') break;
+      try {
+        printRetentionReport(await applyRetention(sessionManager, { policy }), false);
+      } catch (error) {
+        console.log(`❌ Cleanup failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 1: // Archive
+    case 2: { // Delete
+      const archive = actionIndex === 1;
+      const filterLine = await ask('\nFilters (e.g. older-than=30 name=spike tag=sprint-12 model=gpt-4o empty=yes): ');
+      let filter;
+      try {
+        filter = parseRetentionFilter(Object.fromEntries(
+          filterLine.trim().split(/\s+/).filter(Boolean).map(pair => pair.split(/=(.*)/s).slice(0, 2))
+            .map(([name, value]) => [name.replace(/-([a-z])/g, (_, c) => c.toUpperCase()), value])
+        ));
+      } catch (error) {
+        console.log(`❌ ${error.message}`);
+        break;
+      }
+      if (!hasRetentionFilter(filter)) {
+        console.log('❌ Give at least one filter');
+        break;
+      }
+
+      const matches = selectSessionsByFilter(sessionManager, filter);
+      if (matches.length === 0) {
+        console.log('\n📭 No sessions match (the current session and sessions tagged "keep" are never included)');
+        break;
+      }
+      console.log(`\n🔍 ${matches.length} sessions match, ${formatBytes(matches.reduce((sum, info) => sum + info.size, 0))}:`);
+      matches.forEach(info => console.log(`  ${formatRetentionCandidate(info)}`));
+
+      const confirm = await ask(`\n⚠️  ${archive ? 'Archive and remove' : 'Permanently delete'} these ${matches.length} sessions? (yes/no): `);
+      if (confirm.trim().toLowerCase() !== 'yes') break;
+      try {
+        console.log(`✅ ${formatRemoval(removeSessions(sessionManager, matches.map(info => info.id), { archive }))}`);
+      } catch (error) {
+        console.log(`❌ ${archive ? 'Archive' : 'Delete'} failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 3: { // Compact
+      const sessions = sessionManager.listSessions();
+      if (sessions.length === 0) {
+        console.log('\n📭 No sessions found');
+        break;
+      }
+      const currentIndex = Math.max(0, sessions.findIndex(s => s.id === sessionManager.currentSession?.id));
+      const sessionIndex = await selectFromList(
+        sessions.map(s => `${s.name} (${s.conversations} conversations, ${s.id})`),
+        'Choose session to compact:',
+        currentIndex
+      );
+      const keepAnswer = (await ask(`Keep the newest how many conversations? (default: ${policy.keepRecent}): `)).trim();
+      const keepRecent = keepAnswer ? parseInt(keepAnswer) : policy.keepRecent;
+      if (!Number.isInteger(keepRecent) || keepRecent < 0) {
+        console.log('❌ Enter a whole number');
+        break;
+      }
+
+      try {
+        const preview = await compactSession(sessionManager, sessions[sessionIndex].id, { keepRecent, dryRun: true });
+        if (!preview) {
+          console.log('\nℹ️  Nothing to compact, the session is already short');
+          break;
+        }
+        const confirm = await ask(`\n⚠️  Replace ${preview.compacted} older conversations with a summary? (yes/no): `);
+        if (confirm.trim().toLowerCase() !== 'yes') break;
+        const result = await compactSession(sessionManager, sessions[sessionIndex].id, { keepRecent });
+        console.log(formatCompaction(result));
+        if (result.archivedTo) console.log(`📦 The full session was archived to ${result.archivedTo}`);
+      } catch (error) {
+        console.log(`❌ Compaction failed: ${error.message}`);
+      }
+      break;
+    }
+
+    case 4: // Back
+      return;
+  }
+}
+
+async function manageResponseCache() {
+  console.log('\n🗄️  Response Cache');
+  console.log('='.repeat(40));
+
+  const cacheActions = [
+    '📊 Cache Statistics',
+    '📋 Recent Entries',
+    '🧹 Remove Expired Entries',
+    `🔄 Mode: ${responseCache.mode} (switch on/refresh/off)`,
+    '🗑️  Clear Cache',
+    '⬅️  Back'
+  ];
+
+  const actionIndex = await selectFromList(cacheActions, "Choose action:", 0, true);
+
+  switch (actionIndex) {
+    case 0: // Statistics
+      const stats = responseCache.stats();
+      console.log(`\nLocation: ${responseCache.cacheDir}`);
+      console.log(`Entries: ${stats.entries} (${stats.expired} expired)`);
+      console.log(`Size: ${(stats.sizeBytes / 1024).toFixed(1)} KB of ${(responseCache.maxSizeBytes / 1024 / 1024).toFixed(0)} MB`);
+      console.log(`TTL: ${(responseCache.ttlMs / 3600000).toFixed(0)} hours`);
+      if (stats.newest) {
+        console.log(`Newest: ${new Date(stats.newest).toLocaleString()}`);
+        console.log(`Oldest: ${new Date(stats.oldest).toLocaleString()}`);
+      }
+      break;
+
+    case 1: // Recent Entries
+      const entries = responseCache.entries().slice(0, 10);
+      if (entries.length === 0) {
+        console.log('\n📭 Cache is empty');
+      }
+      entries.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.provider} (${entry.model}) - ${new Date(entry.createdAt).toLocaleString()}${entry.expired ? ' [expired]' : ''}`);
+        console.log(`   Prompt: ${(entry.promptPreview || '').substring(0, 100).replace(/\s+/g, ' ')}...`);
+      });
+      break;
+
+    case 2: // Remove Expired
+      console.log(`✅ Removed ${responseCache.pruneExpired()} expired entries`);
+      break;
+
+    case 3: // Mode
+      const modes = ['on', 'refresh', 'off'];
+      const modeIndex = await selectFromList(
+        ['on - reuse cached responses', 'refresh - always call the model, update the cache', 'off - bypass the cache'],
+        "Choose cache mode for this run:",
+        modes.indexOf(responseCache.mode)
+      );
+      responseCache.mode = modes[modeIndex];
+      console.log(`✅ Cache mode: ${responseCache.mode}`);
+      break;
+
+    case 4: // Clear
+      const confirmClear = await ask('\n⚠️  Really clear the response cache? (yes/no): ');
+      if (confirmClear.toLowerCase() === 'yes') {
+        console.log(`✅ Removed ${responseCache.clear()} cached responses`);
+      }
+      break;
+
+    case 5: // Back
+      return;
+  }
+
+  if (actionIndex !== 5) {
+    await ask('\nPress Enter to continue...');
+    await manageResponseCache();
+  }
+}
+
 async function handleBatchProcessing(sessionManager) {
   console.log('\n⚡ Batch Processing Mode');
   console.log('Process multiple queries efficiently');
@@ -1302,15 +6589,7 @@ async function handleBatchProcessing(sessionManager) {
           return;
         }
         
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        let queries = [];
-        
-        if (filePath.endsWith('.json')) {
-          const jsonData = JSON.parse(fileContent);
-          queries = Array.isArray(jsonData) ? jsonData : [jsonData];
-        } else {
-          queries = fileContent.split('\n').filter(line => line.trim());
-        }
+        const queries = parseBatchQueries(fs.readFileSync(filePath, 'utf8'), filePath);
         
         console.log(`📊 Found ${queries.length} queries to process`);
         await processBatchQueries(queries, sessionManager);
@@ -1339,10 +6618,7 @@ async function handleBatchProcessing(sessionManager) {
       const singleQuery = await ask('\n💬 Enter query to test across models: ');
       if (!singleQuery.trim()) return;
       
-      const providers = Object.keys(MODELS).filter(key => {
-        const model = MODELS[key];
-        return model.key || key === 'ollama';
-      });
+      const providers = getAvailableProviders();
       
       console.log(`\n🔄 Testing query across ${providers.length} providers...`);
       await processQueryAcrossModels(singleQuery, providers, sessionManager);
@@ -1353,111 +6629,207 @@ async function handleBatchProcessing(sessionManager) {
   }
 }
 
-async function processBatchQueries(queries, sessionManager) {
+// Supports a JSON array/object, JSON Lines (.jsonl) or one query per line
+function parseBatchQueries(fileContent, fileName = '') {
+  if (fileName.endsWith('.json')) {
+    const jsonData = JSON.parse(fileContent);
+    return Array.isArray(jsonData) ? jsonData : [jsonData];
+  }
+
+  const lines = fileContent.split('\n').filter(line => line.trim());
+  if (fileName.endsWith('.jsonl')) {
+    return lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${e.message}`);
+      }
+    });
+  }
+  return lines;
+}
+
+async function processBatchQueries(queries, sessionManager, options = {}) {
   if (!sessionManager.currentSession) {
     sessionManager.createSession('Batch Processing Session');
   }
 
   // Select provider and model
-  const providers = Object.keys(MODELS).filter(key => {
-    const model = MODELS[key];
-    return model.key || key === 'ollama';
-  });
-
-  const providerIndex = await selectFromList(providers, "Choose provider for batch:", 0);
-  const selectedProvider = providers[providerIndex];
-  const model = MODELS[selectedProvider];
-
-  let selectedModel;
-  if (model.models.length > 1) {
-    const modelIndex = await selectFromList(model.models, `Choose ${model.name} model:`, 0);
-    selectedModel = model.models[modelIndex];
-  } else {
-    selectedModel = model.models[0];
+  const { provider: selectedProvider, model, selectedModel } =
+    await resolveModelSelection(options, 'Choose provider for batch:');
+
+  const queryTexts = queries.map(q => typeof q === 'object' ? q.query || q.text : q);
+  const estimate = estimateRun(queryTexts, selectedProvider, selectedModel.id);
+  console.log(`\n💰 Estimated usage: ~${formatUsage(estimate.usage, estimate.cost)}`);
+  const shortfalls = budgetShortfalls(estimate);
+  if (shortfalls.length > 0) {
+    console.log(`⚠️  The estimate exceeds the remaining ${shortfalls.join(', ')} budget; the batch stops when a limit is reached`);
+    if (!headless) {
+      const proceed = await ask('Start the batch anyway? (y/n, default: n): ');
+      if (proceed.trim().toLowerCase() !== 'y') return [];
+    }
   }
 
-  console.log(`\n🚀 Processing ${queries.length} queries with ${model.name}...`);
-  const results = [];
-  
-  for (let i = 0; i < queries.length; i++) {
-    const query = typeof queries[i] === 'object' ? queries[i].query || queries[i].text : queries[i];
-    console.log(`\n📋 Processing ${i + 1}/${queries.length}: ${query.substring(0, 50)}...`);
-    
-    const result = await runAgent(selectedProvider, 'Batch Query', query, selectedModel.id);
-    
+  const concurrency = getConcurrency(options);
+  const parallel = concurrency > 1;
+  console.log(`\n🚀 Processing ${queries.length} queries with ${model.name}${parallel ? ` (${concurrency} at a time)` : ''}...`);
+  const progress = createProgressReporter(queries.length, 'Batch', { live: parallel });
+  budgetTracker.startBatch();
+
+  // Parallel runs stay quiet per query and report through the progress line
+  const { results: slots } = await runPool(queryTexts, async (query, i) => {
+    if (!parallel) console.log(`\n📋 Processing ${i + 1}/${queries.length}: ${query.substring(0, 50)}...`);
+
+    // JSON batch entries may set their own `system` and `params`
+    const entry = typeof queries[i] === 'object' ? queries[i] : {};
+    const result = await runAgent(selectedProvider, 'Batch Query', query, selectedModel.id, {
+      ...options,
+      quiet: parallel,
+      system: resolveSystemPrompt({ ...options, ...(entry.system ? { system: entry.system } : {}) }),
+      params: resolveGenerationParams(null, { ...options.params, ...entry.params })
+    });
+
     if (result.success) {
-      results.push({
+      sessionManager.addConversation(query, result.result, result.provider, 'Batch Processing', {
+        model: selectedModel.id,
+        ...answerMetadata(result),
+        ...usageMetadata(result),
+        ...generationMetadata(result)
+      });
+      if (!parallel) console.log('✅ Success');
+      return {
         query: query,
         result: result.result,
+        answeredBy: formatModelRef(result),
+        fallbackUsed: result.fallbackAttempts.length > 0,
+        usage: result.usage,
+        cost: result.cost,
         success: true
-      });
-      sessionManager.addConversation(query, result.result, selectedProvider, 'Batch Processing');
-      console.log('✅ Success');
-    } else {
-      results.push({
-        query: query,
-        error: result.error,
-        success: false
-      });
-      console.log(`❌ Failed: ${result.error}`);
+      };
     }
+
+    progress.log(parallel ? `❌ Query ${i + 1} failed: ${result.error}` : `❌ Failed: ${result.error}`);
+    return {
+      query: query,
+      error: result.error,
+      errorType: result.errorType,
+      success: false
+    };
+  }, { concurrency, progress, shouldStop: result => result.errorType === 'budget' });
+  budgetTracker.endBatch();
+
+  const results = slots.filter(Boolean);
+  const stoppedBy = results.find(r => r.errorType === 'budget')?.error || null;
+  const skipped = queries.length - results.filter(r => r.errorType !== 'budget').length;
+  if (stoppedBy) {
+    console.log(`🛑 Batch stopped with ${skipped} queries not run. Saving partial results...`);
   }
 
   // Export batch results
-  const batchReport = generateBatchReport(results, selectedModel);
-  await exportResult(batchReport, 'Batch Processing Results', `${model.name} (${selectedModel.id})`);
+  const batchReport = generateBatchReport(results, selectedModel, { stoppedBy, skipped });
+  await exportResult(batchReport, 'Batch Processing Results', `${model.name} (${selectedModel.id})`, options);
+  return results;
 }
 
-async function processQueryAcrossModels(query, providers, sessionManager) {
+async function processQueryAcrossModels(query, providers, sessionManager, options = {}) {
   if (!sessionManager.currentSession) {
     sessionManager.createSession('Model Comparison Session');
   }
 
-  const results = [];
-  
-  for (const provider of providers) {
+  const targets = providers.filter(provider => {
+    if (MODELS[provider].models[0]) return true;
+    console.log(`\n⏭️  Skipping ${MODELS[provider].name}: no models available`);
+    return false;
+  });
+  const concurrency = getConcurrency(options);
+  const parallel = concurrency > 1 && targets.length > 1;
+  const progress = parallel ? createProgressReporter(targets.length, 'Comparison', { live: true }) : null;
+
+  const { results: slots } = await runPool(targets, async (provider) => {
     const model = MODELS[provider];
     const selectedModel = model.models[0]; // Use first available model
+    if (parallel) progress.log(`🤖 Testing with ${model.name} (${selectedModel.id})...`);
+    else console.log(`\n🤖 Testing with ${model.name} (${selectedModel.id})...`);
     
-    console.log(`\n🤖 Testing with ${model.name} (${selectedModel.id})...`);
-    
-    const result = await runAgent(provider, 'Model Comparison', query, selectedModel.id);
+    // No fallback here, the point is to see how each model answers
+    const result = await runAgent(provider, 'Model Comparison', query, selectedModel.id, {
+      fallback: false,
+      quiet: parallel,
+      system: resolveSystemPrompt(options),
+      params: resolveGenerationParams(null, options.params)
+    });
     
-    if (result.success) {
-      results.push({
-        provider: provider,
+    if (result.success) {
+      sessionManager.addConversation(query, result.result, provider, 'Model Comparison', {
         model: selectedModel.id,
-        modelName: model.name,
-        result: result.result,
-        success: true,
-        responseLength: result.result.length
+        ...usageMetadata(result),
+        ...generationMetadata(result)
       });
-      sessionManager.addConversation(query, result.result, provider, 'Model Comparison');
-      console.log(`✅ Success (${result.result.length} chars)`);
-    } else {
-      results.push({
+      if (!parallel) console.log(`✅ Success (${result.result.length} chars)`);
+      return {
         provider: provider,
         model: selectedModel.id,
         modelName: model.name,
-        error: result.error,
-        success: false
-      });
-      console.log(`❌ Failed: ${result.error}`);
+        result: result.result,
+        success: true,
+        responseLength: result.result.length,
+        usage: result.usage,
+        cost: result.cost
+      };
     }
+
+    const failure = `❌ ${parallel ? `${model.name} failed` : 'Failed'}: ${result.error}`;
+    if (parallel) progress.log(failure);
+    else console.log(failure);
+    return {
+      provider: provider,
+      model: selectedModel.id,
+      modelName: model.name,
+      error: result.error,
+      errorType: result.errorType,
+      success: false
+    };
+  }, { concurrency, progress, shouldStop: result => result.errorType === 'budget' });
+
+  const results = slots.filter(Boolean);
+  if (results.length < targets.length) {
+    console.log('🛑 Budget exhausted, skipped the remaining models');
   }
 
   // Generate comparison report
   const comparisonReport = generateComparisonReport(query, results);
-  await exportResult(comparisonReport, 'Model Comparison Results', 'Multi-Model Analysis');
+  await exportResult(comparisonReport, 'Model Comparison Results', 'Multi-Model Analysis', options);
+  return results;
 }
 
-function generateBatchReport(results, model) {
+function generateBatchReport(results, model, { stoppedBy = null, skipped = 0 } = {}) {
   let report = `# 📊 Batch Processing Report\n\n`;
+  if (stoppedBy) {
+    report += `> ⚠️ **Partial results:** stopped early (${stoppedBy}). ${skipped} queries were not run.\n\n`;
+  }
   report += `**Model Used:** ${model.desc}\n`;
   report += `**Total Queries:** ${results.length}\n`;
   report += `**Successful:** ${results.filter(r => r.success).length}\n`;
   report += `**Failed:** ${results.filter(r => !r.success).length}\n`;
-  report += `**Success Rate:** ${((results.filter(r => r.success).length / results.length) * 100).toFixed(1)}%\n\n`;
+  report += `**Success Rate:** ${((results.filter(r => r.success).length / results.length) * 100).toFixed(1)}%\n`;
+  const fallbackCount = results.filter(r => r.fallbackUsed).length;
+  if (fallbackCount > 0) {
+    report += `**Answered by Fallback Models:** ${fallbackCount}\n`;
+  }
+  const totals = summarizeUsage(results);
+  if (totals.requests > 0) {
+    report += `**Tokens Used:** ${totals.totalTokens.toLocaleString()} (${totals.promptTokens.toLocaleString()} prompt / ${totals.completionTokens.toLocaleString()} completion)\n`;
+    report += `**Total Cost:** ${formatCost(totals.cost)}${totals.unpriced ? ` (${totals.unpriced} queries without a known price)` : ''}\n`;
+  }
+  report += `\n`;
+
+  const failureTypes = {};
+  results.filter(r => !r.success).forEach(r => {
+    failureTypes[r.errorType || 'unknown'] = (failureTypes[r.errorType || 'unknown'] || 0) + 1;
+  });
+  if (Object.keys(failureTypes).length > 0) {
+    report += `**Failures by Type:** ${Object.entries(failureTypes).map(([type, count]) => `${type} (${count})`).join(', ')}\n\n`;
+  }
 
   report += `## 📋 Results\n\n`;
   
@@ -1466,9 +6838,15 @@ function generateBatchReport(results, model) {
     report += `**Input:** ${result.query}\n\n`;
     
     if (result.success) {
+      if (result.fallbackUsed) {
+        report += `**Answered by:** ${result.answeredBy} (fallback)\n\n`;
+      }
+      if (result.usage) {
+        report += `**Usage:** ${formatUsage(result.usage, result.cost)}\n\n`;
+      }
       report += `**Output:** ${result.result}\n\n`;
     } else {
-      report += `**Error:** ${result.error}\n\n`;
+      report += `**Error (${result.errorType || 'unknown'}):** ${result.error}\n\n`;
     }
     
     report += `---\n\n`;
@@ -1481,19 +6859,26 @@ function generateComparisonReport(query, results) {
   let report = `# 🔍 Model Comparison Report\n\n`;
   report += `**Query:** ${query}\n\n`;
   report += `**Models Tested:** ${results.length}\n`;
-  report += `**Successful Responses:** ${results.filter(r => r.success).length}\n\n`;
+  report += `**Successful Responses:** ${results.filter(r => r.success).length}\n`;
+  const totals = summarizeUsage(results);
+  if (totals.requests > 0) {
+    report += `**Total Usage:** ${formatUsage(totals, totals.cost)}\n`;
+  }
+  report += `\n`;
 
   report += `## 📊 Performance Overview\n\n`;
   
   const successfulResults = results.filter(r => r.success);
   if (successfulResults.length > 0) {
-    report += `| Model | Provider | Response Length | Status |\n`;
-    report += `|-------|----------|-----------------|--------|\n`;
+    report += `| Model | Provider | Response Length | Tokens (in/out) | Cost | Status |\n`;
+    report += `|-------|----------|-----------------|-----------------|------|--------|\n`;
     
     results.forEach(result => {
-      const status = result.success ? '✅ Success' : '❌ Failed';
+      const status = result.success ? '✅ Success' : `❌ Failed (${result.errorType || 'unknown'})`;
       const length = result.success ? result.responseLength : 'N/A';
-      report += `| ${result.model} | ${result.modelName} | ${length} | ${status} |\n`;
+      const tokens = result.usage ? `${result.usage.promptTokens}/${result.usage.completionTokens}` : 'N/A';
+      const cost = result.usage ? formatCost(result.cost) : 'N/A';
+      report += `| ${result.model} | ${result.modelName} | ${length} | ${tokens} | ${cost} | ${status} |\n`;
     });
   }
 
@@ -1505,7 +6890,7 @@ function generateComparisonReport(query, results) {
     if (result.success) {
       report += `**Response:**\n${result.result}\n\n`;
     } else {
-      report += `**Error:** ${result.error}\n\n`;
+      report += `**Error (${result.errorType || 'unknown'}):** ${result.error}\n\n`;
     }
     
     report += `---\n\n`;
@@ -1582,6 +6967,26 @@ async function checkAndSetupApiKeys() {
     console.log('✅ OpenRouter API key found');
   }
 
+  // Check Anthropic API Key
+  if (!process.env.ANTHROPIC_API_KEY && !envVars.ANTHROPIC_API_KEY) {
+    console.log('\n🧠 Anthropic Configuration:');
+    console.log('Get your API key from: https://console.anthropic.com/settings/keys');
+    const anthropicKey = await ask('Enter Anthropic API key (or press Enter to skip): ');
+    
+    if (anthropicKey.trim()) {
+      envVars.ANTHROPIC_API_KEY = anthropicKey.trim();
+      process.env.ANTHROPIC_API_KEY = anthropicKey.trim();
+      MODELS.anthropic.key = anthropicKey.trim();
+      envChanged = true;
+      console.log('✅ Anthropic API key configured');
+    } else {
+      console.log('⏭️  Anthropic skipped - models will be unavailable');
+    }
+  } else {
+    MODELS.anthropic.key = process.env.ANTHROPIC_API_KEY || envVars.ANTHROPIC_API_KEY;
+    console.log('✅ Anthropic API key found');
+  }
+
   // Save to .env file if changed
   if (envChanged) {
     const newEnvContent = Object.entries(envVars)
@@ -1594,10 +6999,7 @@ async function checkAndSetupApiKeys() {
   }
 
   // Check if any providers are available
-  const availableProviders = Object.keys(MODELS).filter(key => {
-    const model = MODELS[key];
-    return model.key || key === 'ollama';
-  });
+  const availableProviders = getAvailableProviders();
 
   if (availableProviders.length === 0) {
     console.log('\n⚠️  No API providers configured.');
@@ -1620,6 +7022,9 @@ OPENAI_API_KEY=
 # Get OpenRouter API key from: https://openrouter.ai/keys  
 OPENROUTER_API_KEY=
 
+# Get Anthropic API key from: https://console.anthropic.com/settings/keys
+ANTHROPIC_API_KEY=
+
 # Optional: Custom settings
 # OLLAMA_HOST=http://localhost:11434
 `;
@@ -1637,6 +7042,7 @@ async function manageApiKeys() {
     '👀 View Current Keys (masked)',
     '✏️  Update OpenAI Key',
     '✏️  Update OpenRouter Key', 
+    '✏️  Update Anthropic Key',
     '🗑️  Clear All Keys',
     '📝 Recreate .env Template',
     '⬅️  Back'
@@ -1649,6 +7055,7 @@ async function manageApiKeys() {
       console.log('\n🔍 Current API Key Status:');
       console.log(`OpenAI: ${process.env.OPENAI_API_KEY ? '✅ Set (' + process.env.OPENAI_API_KEY.substring(0, 8) + '...)' : '❌ Not set'}`);
       console.log(`OpenRouter: ${process.env.OPENROUTER_API_KEY ? '✅ Set (' + process.env.OPENROUTER_API_KEY.substring(0, 8) + '...)' : '❌ Not set'}`);
+      console.log(`Anthropic: ${process.env.ANTHROPIC_API_KEY ? '✅ Set (' + process.env.ANTHROPIC_API_KEY.substring(0, 8) + '...)' : '❌ Not set'}`);
       break;
       
     case 1: // Update OpenAI
@@ -1659,22 +7066,26 @@ async function manageApiKeys() {
       await updateApiKey('OPENROUTER_API_KEY', 'OpenRouter', 'https://openrouter.ai/keys');
       break;
       
-    case 3: // Clear All
+    case 3: // Update Anthropic
+      await updateApiKey('ANTHROPIC_API_KEY', 'Anthropic', 'https://console.anthropic.com/settings/keys');
+      break;
+      
+    case 4: // Clear All
       const confirmClear = await ask('\n⚠️  Really clear all API keys? (yes/no): ');
       if (confirmClear.toLowerCase() === 'yes') {
         await clearApiKeys();
       }
       break;
       
-    case 4: // Recreate template
+    case 5: // Recreate template
       createEnvTemplate();
       break;
       
-    case 5: // Back
+    case 6: // Back
       return;
   }
   
-  if (actionIndex !== 5) {
+  if (actionIndex !== 6) {
     await ask('\nPress Enter to continue...');
     await manageApiKeys();
   }
@@ -1694,6 +7105,8 @@ async function updateApiKey(keyName, serviceName, url) {
       MODELS.openai.key = newKey.trim();
     } else if (keyName === 'OPENROUTER_API_KEY') {
       MODELS.openrouter.key = newKey.trim();
+    } else if (keyName === 'ANTHROPIC_API_KEY') {
+      MODELS.anthropic.key = newKey.trim();
     }
     
     console.log(`✅ ${serviceName} API key updated successfully`);
@@ -1736,7 +7149,7 @@ async function clearApiKeys() {
     const envLines = envContent.split('\n');
     
     const clearedLines = envLines.map(line => {
-      if (line.startsWith('OPENAI_API_KEY=') || line.startsWith('OPENROUTER_API_KEY=')) {
+      if (line.startsWith('OPENAI_API_KEY=') || line.startsWith('OPENROUTER_API_KEY=') || line.startsWith('ANTHROPIC_API_KEY=')) {
         return line.split('=')[0] + '=';
       }
       return line;
@@ -1748,26 +7161,13 @@ async function clearApiKeys() {
   // Clear from environment
   delete process.env.OPENAI_API_KEY;
   delete process.env.OPENROUTER_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
   MODELS.openai.key = null;
   MODELS.openrouter.key = null;
+  MODELS.anthropic.key = null;
   
   console.log('✅ All API keys cleared');
 }
-// =====================
-// START APPLICATION
-// =====================
-if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(error => {
-    console.error('\n💥 Fatal Error:', error.message);
-    console.log('🔧 Troubleshooting tips:');
-    console.log('  • Check your API keys in .env file');
-    console.log('  • Ensure internet connection for cloud models');
-    console.log('  • For Ollama: Run "ollama serve" if using local models');
-    console.log('  • Check file permissions in current directory');
-    process.exit(1);
-  });
-}
-
 // =====================
 // GRACEFUL SHUTDOWN
 // =====================
@@ -1775,13 +7175,13 @@ process.on('SIGINT', () => {
   console.log('\n\n👋 Gracefully shutting down...');
   console.log('💾 Sessions saved automatically');
   console.log('✨ Thank you for using Anyany.js, QA AI Agent CLI!');
-  rl.close();
+  rl?.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n📱 Received termination signal...');
-  rl.close();
+  rl?.close();
   process.exit(0);
 });
 
@@ -1801,9 +7201,27 @@ export {
   EXPORT_FORMATS,
   PROMPTS,
   runAgent,
+  streamAgent,
+  callModel,
+  registerProvider,
+  registerAdapter,
+  ProviderError,
+  AuthError,
+  RateLimitError,
+  QuotaError,
+  ContextLengthError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
   exportResult,
   selectFromList,
-  displayResult
+  displayResult,
+  handleQuickQuery,
+  handleCustomTask,
+  handleMultiAgentMode,
+  processBatchQueries,
+  processQueryAcrossModels,
+  runCli
 };
 
 // =====================
@@ -1816,6 +7234,7 @@ ${'='.repeat(60)}
 
 FEATURES:
 - 🔥 Quick Query - Fast single questions
+- 💬 Chat - Multi-turn conversations that remember the session
 - 🤖 Multi-Agent Mode - Collaborative AI analysis
 - ⚙️ Custom Tasks - Specialized prompts
 - 💾 Session Management - Persistent conversations
@@ -1824,12 +7243,16 @@ FEATURES:
 SUPPORTED PROVIDERS:
 - OpenAI (GPT models) - Requires OPENAI_API_KEY
 - OpenRouter (Multiple models) - Requires OPENROUTER_API_KEY  
-- Ollama (Local models) - Requires Ollama running locally
+- Anthropic (Claude models) - Requires ANTHROPIC_API_KEY
+- Ollama (Local models) - Requires Ollama running locally (OLLAMA_HOST for a remote one)
+- OpenAI-compatible endpoints (LM Studio, vLLM, llama.cpp) - "endpoints" in anyany.config.json
+- Mock (Replay) - Answers from fixture files, no network (see --record)
 
 SETUP:
 1. Create .env file with your API keys:
    OPENAI_API_KEY=your_openai_key
    OPENROUTER_API_KEY=your_openrouter_key
+   ANTHROPIC_API_KEY=your_anthropic_key
 
 2. Install optional dependencies:
    npm install showdown
@@ -1838,11 +7261,91 @@ SETUP:
    Install Ollama and pull models: ollama pull llama3.2
 
 USAGE:
-- Run: node enhanced-qa-agent.js
+- Run: node agent.js (or: anyany)
 - Follow interactive prompts
+- Chat prompt with slash commands: anyany repl [--provider <name>] [--session <id>]
 - Sessions auto-save to ./sessions/
 - Exports save to ./output/
 
+COMMANDS (non-interactive, for CI and scripts):
+  anyany query [text]                 Ask a single question
+  anyany chat [text] [--session <id>] Follow-up with the session's earlier turns as context
+  anyany task <task> [text]           Run a prompt template
+                                      (${Object.values(TASK_OPTIONS).map(key => key.toLowerCase()).join(', ')})
+  anyany batch <file|->               Process queries from .json, .jsonl or .txt
+  anyany compare [text]               Run one query across providers
+  anyany multi-agent [text]           Debate, pipeline or consensus analysis
+  anyany pipelines list               Saved pipeline definitions (${pipelinesDir()})
+  anyany pipelines show <name|file>   Check a pipeline file and list its steps
+  anyany pipelines run <name|file> [text]
+                                      Run a pipeline, same as multi-agent --pipeline
+  anyany search <text>                Search saved sessions (--regex, --model, --task,
+                                      --since, --until, --tag, --limit, --format json)
+  anyany sessions list [--tag tag]    List saved sessions with their ids and tags
+  anyany sessions rename <id> <name>  Give a session a new name
+  anyany sessions tag|untag <id> <tag>...
+                                      Add or remove tags, e.g. project:payments PAY-123
+  anyany sessions note <id> [text]    Set (or show) a session's notes; --clear removes them
+  anyany sessions fork <id> [n] [--name <name>]
+                                      New session with the first n conversations
+  anyany sessions transcript <id> [--format md|html|json|txt] [--since date] [--until date]
+                                      Whole session as a report with contents and statistics
+  anyany sessions export <id>... [--out file]
+                                      Bundle sessions (or "all") into one file, .gz to compress
+  anyany sessions import <file> [--on-conflict auto|skip|overwrite|copy]
+  anyany sessions merge <id> <id> [--name <name>]
+                                      Combine two sessions into one timeline
+  anyany sessions repair [file]       Recover damaged session files (default: all quarantined)
+  anyany sessions migrate             Upgrade session files saved by older versions
+  anyany sessions prune [--dry-run]   Apply the retention limits from the config file
+  anyany sessions archive|delete [<id>...] [--older-than days|date] [--name text]
+                                      [--tag tag] [--model text] [--empty] [--dry-run]
+                                      Remove matching sessions; archive keeps a bundle
+  anyany sessions compact <id>...|all [--keep n] [--dry-run]
+                                      Replace older conversations with a summary
+
+  Input is taken from [text], --input <file> or stdin.
+
+OPTIONS:
+  -p, --provider <name>    Provider (${Object.keys(MODELS).join(', ')})
+  -m, --model <id>         Model id for the provider
+  -f, --format <fmt>       Output format (${Object.keys(EXPORT_FORMATS).join(', ')})
+  -o, --out <path>         Write to a file or directory instead of stdout
+  -i, --input <file>       Read input from a file (- for stdin)
+  --instructions <text>    Additional instructions for task
+  --providers <a,b>        Providers for compare (default: all configured)
+  --mode <mode>            debate, pipeline or consensus (default: debate)
+  --rounds <n>             Debate rounds, 1-10 (default: 2)
+  --moderator <p:m|none>   Model that judges the debate (default: the first agent)
+  --stances <a,b|auto>     Debate positions by agent order, e.g. pro,con; auto alternates
+  --judge <p:m|none>       Model that compares consensus answers (default: local scoring only)
+  --pipeline <name|file>   Pipeline definition (JSON or YAML) for multi-agent pipeline mode
+  --agents <p:m,p:m>       Agents for multi-agent, e.g. openai:gpt-4o-mini,ollama:llama3.2
+  --session <id>           Append to an existing session
+  --config <file>          Config file (default: ./anyany.config.json or $ANYANY_CONFIG)
+  --timeout <seconds>      Abort when a provider sends nothing for this long (default: 120)
+  --retries <n>            Retries for rate limits, server and network errors (default: 3)
+  --fallback <p:m,p:m>     Models to try in order when the chosen one keeps failing
+  --no-fallback            Ignore fallback chains from the config file
+  --no-cache               Do not read or write the response cache
+  --refresh                Call the model even if cached, then update the cache
+  --record                 Save real provider exchanges as fixtures for the mock provider
+  --fixtures <dir>         Fixture directory for --record and the mock provider (default: ./fixtures)
+  --session-budget <limit> Stop once the session used this much, e.g. 2.50 or 200k tokens
+  --batch-budget <limit>   Same for one batch run; partial results are still saved
+  --daily-budget <limit>   Same for everything run today
+  --concurrency <n>        Requests in flight at once for batch and compare (default: 1)
+  --system <text>          System prompt, placed before any task template
+  --temperature <t>        Sampling temperature, 0-2 (default: 0.7)
+  --max-tokens <n>         Maximum tokens to generate
+  --top-p <p>              Nucleus sampling, 0-1
+  --seed <n>               Seed for reproducible sampling (where supported)
+  --stop <text>            Stop sequence, or a JSON array of them
+  -h, --help               Show this help
+
+EXIT CODES:
+  0 success, 1 request failed, 2 usage error, 3 partial batch/compare failure
+
 TIPS:
 - Multi-Agent mode provides diverse perspectives
 - Batch processing saves time for multiple queries
@@ -1853,10 +7356,663 @@ ${'='.repeat(60)}
   `);
 }
 
-// Check for help flag
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  showHelp();
-  process.exit(0);
+// =====================
+// CLI COMMANDS
+// =====================
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  PARTIAL: 3
+};
+
+class CliUsageError extends Error {}
+
+const CLI_OPTIONS = {
+  provider: { type: 'string', alias: 'p' },
+  model: { type: 'string', alias: 'm' },
+  format: { type: 'string', alias: 'f' },
+  out: { type: 'string', alias: 'o' },
+  input: { type: 'string', alias: 'i' },
+  instructions: { type: 'string' },
+  providers: { type: 'string' },
+  mode: { type: 'string' },
+  agents: { type: 'string' },
+  session: { type: 'string' },
+  config: { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  fallback: { type: 'string' },
+  noFallback: { type: 'boolean' },
+  noCache: { type: 'boolean' },
+  refresh: { type: 'boolean' },
+  record: { type: 'boolean' },
+  fixtures: { type: 'string' },
+  sessionBudget: { type: 'string' },
+  batchBudget: { type: 'string' },
+  dailyBudget: { type: 'string' },
+  concurrency: { type: 'string' },
+  system: { type: 'string' },
+  temperature: { type: 'string' },
+  maxTokens: { type: 'string' },
+  topP: { type: 'string' },
+  seed: { type: 'string' },
+  stop: { type: 'string' },
+  regex: { type: 'boolean' },
+  task: { type: 'string' },
+  tag: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  limit: { type: 'string' },
+  name: { type: 'string' },
+  onConflict: { type: 'string' },
+  rounds: { type: 'string' },
+  moderator: { type: 'string' },
+  stances: { type: 'string' },
+  judge: { type: 'string' },
+  pipeline: { type: 'string' },
+  clear: { type: 'boolean' },
+  dryRun: { type: 'boolean' },
+  olderThan: { type: 'string' },
+  empty: { type: 'boolean' },
+  archive: { type: 'boolean' },
+  keep: { type: 'string' },
+  help: { type: 'boolean', alias: 'h' }
+};
+
+function parseCliArgs(argv) {
+  const args = [];
+  const options = {};
+  const aliases = Object.fromEntries(
+    Object.entries(CLI_OPTIONS).filter(([, spec]) => spec.alias).map(([name, spec]) => [spec.alias, name])
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (token === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!token.startsWith('-') || token === '-') {
+      args.push(token);
+      continue;
+    }
+
+    const [flag, inlineValue] = token.replace(/^--?/, '').split(/=(.*)/s);
+    const name = token.startsWith('--')
+      ? flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+      : aliases[flag];
+    const spec = CLI_OPTIONS[name];
+    if (!spec) throw new CliUsageError(`Unknown option "${token}"`);
+
+    if (spec.type === 'boolean') {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new CliUsageError(`Option "${token}" requires a value`);
+    }
+  }
+
+  return { command: args.shift(), args, options };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function resolveCliInput(args, options) {
+  let input;
+  if (options.input && options.input !== '-') {
+    if (!fs.existsSync(options.input)) throw new CliUsageError(`Input file not found: ${options.input}`);
+    input = fs.readFileSync(options.input, 'utf8');
+  } else if (args.length > 0 && args[0] !== '-') {
+    input = args.join(' ');
+  } else if (options.input === '-' || args[0] === '-' || !process.stdin.isTTY) {
+    input = await readStdin();
+  }
+
+  if (!input || !input.trim()) {
+    throw new CliUsageError('No input given. Pass it as text, with --input <file> or on stdin.');
+  }
+  return input;
+}
+
+// "openai:gpt-4o-mini,ollama:llama3.2:latest" -> [{ provider, model }]
+function parseAgentList(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+    const ref = parseModelRef(spec);
+    if (!ref.model) throw new CliUsageError(`Invalid agent "${spec}", expected provider:model`);
+    return ref;
+  });
+}
+
+// --fallback / --no-fallback into the options runAgent understands
+function fallbackOptions(options) {
+  if (options.noFallback) return { fallback: false };
+  if (!options.fallback) return {};
+
+  const fallbackChain = options.fallback.split(',').map(s => s.trim()).filter(Boolean).map(parseModelRef);
+  const unknown = fallbackChain.filter(ref => !MODELS[ref.provider]);
+  if (unknown.length) {
+    throw new CliUsageError(`Unknown fallback provider(s): ${unknown.map(ref => ref.provider).join(', ')}`);
+  }
+  return { fallbackChain };
+}
+
+// --temperature, --max-tokens, ... -> options.params
+function generationOptions(options) {
+  const params = {};
+  Object.keys(GENERATION_PARAMS).forEach(name => {
+    if (options[name] === undefined) return;
+    try {
+      params[name] = parseGenerationParam(name, options[name]);
+    } catch (error) {
+      throw new CliUsageError(error.message);
+    }
+  });
+  return Object.keys(params).length ? { params } : {};
+}
+
+function exitCodeForResults(results) {
+  const succeeded = results.filter(r => r.success).length;
+  if (results.length > 0 && succeeded === results.length) return EXIT_CODES.OK;
+  return succeeded > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+}
+
+const CLI_COMMANDS = {
+  query: async (args, options, sessionManager) => {
+    const input = await resolveCliInput(args, options);
+    const result = await handleQuickQuery(sessionManager, { ...options, input });
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  },
+
+  // Sends one turn with the session's earlier turns as context
+  chat: async (args, options, sessionManager) => {
+    const input = await resolveCliInput(args, options);
+    const result = await handleChat(sessionManager, { ...options, input });
+    console.error(`💬 Session ${sessionManager.currentSession.id}, continue with: anyany chat --session ${sessionManager.currentSession.id} "..."`);
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  },
+
+  task: async ([task, ...args], options, sessionManager) => {
+    if (!task) throw new CliUsageError('Missing task name, e.g. "anyany task bug_analysis --input log.txt"');
+    if (!findTaskName(task)) throw new CliUsageError(`Unknown task "${task}"`);
+    const input = await resolveCliInput(args, options);
+    const result = await handleCustomTask(sessionManager, { ...options, task, input });
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  },
+
+  batch: async (args, options, sessionManager) => {
+    const file = args[0] || options.input;
+    if (!file) throw new CliUsageError('Missing batch file, e.g. "anyany batch queries.jsonl"');
+
+    let content;
+    let fileName = file;
+    if (file === '-') {
+      content = await readStdin();
+      const trimmed = content.trim();
+      fileName = trimmed.startsWith('[') ? 'stdin.json' : trimmed.startsWith('{') ? 'stdin.jsonl' : 'stdin.txt';
+    } else {
+      if (!fs.existsSync(file)) throw new CliUsageError(`Batch file not found: ${file}`);
+      content = fs.readFileSync(file, 'utf8');
+    }
+
+    const queries = parseBatchQueries(content, fileName);
+    if (queries.length === 0) throw new CliUsageError('Batch file contains no queries');
+
+    console.log(`📊 Found ${queries.length} queries to process`);
+    const results = await processBatchQueries(queries, sessionManager, options);
+    return exitCodeForResults(results);
+  },
+
+  compare: async (args, options, sessionManager) => {
+    const input = await resolveCliInput(args, options);
+    const providers = options.providers
+      ? options.providers.split(',').map(p => p.trim()).filter(Boolean)
+      : getAvailableProviders();
+    const unknown = providers.filter(p => !MODELS[p]);
+    if (unknown.length) throw new CliUsageError(`Unknown provider(s): ${unknown.join(', ')}`);
+
+    const results = await processQueryAcrossModels(input, providers, sessionManager, options);
+    return exitCodeForResults(results);
+  },
+
+  // Exits with FAILURE when nothing matches, like grep
+  search: async (args, options, sessionManager) => {
+    const query = args.join(' ').trim();
+    if (!query) throw new CliUsageError('Missing search text, e.g. anyany search "payment timeout" --task bug');
+    const limit = options.limit === undefined ? 20 : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new CliUsageError('--limit must be a whole number of at least 1');
+
+    let filters, hits;
+    try {
+      filters = parseSearchFilters(options);
+      hits = new SessionSearchIndex(sessionManager).search(query, { regex: options.regex, filters, limit });
+    } catch (error) {
+      throw new CliUsageError(error.message);
+    }
+
+    if (options.format === 'json') {
+      process.stdout.write(JSON.stringify(hits, null, 2) + '\n');
+    } else {
+      hits.forEach((hit, index) => process.stdout.write(`${formatSearchHit(hit, index + 1)}\n   🔗 ${hit.sessionId}\n`));
+    }
+    console.log(`🔎 ${hits.length} matches`);
+    return hits.length > 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  },
+
+  // Session file maintenance
+  sessions: async ([action, ...args], options, sessionManager) => {
+    const resolveId = query => {
+      const session = sessionManager.findSession(query);
+      if (!session) throw new CliUsageError(`Session not found: ${query}`);
+      return session.id;
+    };
+
+    switch (action) {
+      case 'list': {
+        const tags = normalizeTags(options.tag);
+        const sessions = sessionManager.listSessions()
+          .filter(s => tags.every(tag => sessionHasTag(s, tag)))
+          .sort((a, b) => new Date(b.created) - new Date(a.created));
+        if (options.format === 'json') {
+          process.stdout.write(JSON.stringify(sessions, null, 2) + '\n');
+        } else {
+          sessions.forEach(s => {
+            const tagList = s.tags.length ? ` [${s.tags.join(', ')}]` : '';
+            process.stdout.write(`${s.id}  ${s.name}  (${s.conversations} conversations, ${new Date(s.created).toLocaleString()})${tagList}\n`);
+          });
+        }
+        return EXIT_CODES.OK;
+      }
+
+      case 'rename': {
+        if (args.length < 2) throw new CliUsageError('Usage: anyany sessions rename <id|name> <new name>');
+        const name = args.slice(1).join(' ').trim();
+        sessionManager.updateSession(resolveId(args[0]), { name });
+        console.log(`✅ Renamed to "${name}"`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'tag':
+      case 'untag': {
+        if (args.length < 2) throw new CliUsageError(`Usage: anyany sessions ${action} <id|name> <tag>...`);
+        const id = resolveId(args[0]);
+        const current = sessionManager.readSessionFile(id)?.tags || [];
+        const given = normalizeTags(args.slice(1));
+        const tags = action === 'tag'
+          ? normalizeTags([...current, ...given])
+          : current.filter(tag => !given.some(value => value.toLowerCase() === tag.toLowerCase()));
+        sessionManager.updateSession(id, { tags });
+        process.stdout.write(`${tags.join(', ')}\n`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'note': {
+        if (!args[0]) throw new CliUsageError('Usage: anyany sessions note <id|name> [text] [--input file] [--clear]');
+        const id = resolveId(args[0]);
+        const text = options.input ? await resolveCliInput([], options) : args.slice(1).join(' ');
+        if (options.clear) {
+          sessionManager.updateSession(id, { notes: undefined });
+          console.log('✅ Notes cleared');
+        } else if (text.trim()) {
+          sessionManager.updateSession(id, { notes: text.trim() });
+          console.log('✅ Notes saved');
+        } else {
+          const notes = sessionManager.readSessionFile(id)?.notes;
+          if (notes) process.stdout.write(`${notes}\n`);
+        }
+        return EXIT_CODES.OK;
+      }
+
+      case 'fork': {
+        if (!args[0]) throw new CliUsageError('Usage: anyany sessions fork <id|name> [conversations to keep] [--name "fork name"]');
+        const count = args[1] !== undefined ? Number(args[1]) : Infinity;
+        if (!(Number.isInteger(count) && count >= 0) && count !== Infinity) {
+          throw new CliUsageError('The number of conversations to keep must be a whole number');
+        }
+        const fork = sessionManager.forkSession(resolveId(args[0]), count, options.name);
+        console.log(`✅ Created "${fork.name}" with ${fork.conversations.length} conversations`);
+        process.stdout.write(`${fork.id}\n`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'export': {
+        if (args.length === 0) throw new CliUsageError('Usage: anyany sessions export <id|name>... [--out file.anyany.json[.gz]]');
+        const ids = args.includes('all') ? sessionManager.listSessions().map(s => s.id) : args.map(resolveId);
+        const bundle = createSessionBundle(sessionManager, ids);
+        if (options.out === '-') {
+          process.stdout.write(JSON.stringify(bundle, null, 2) + '\n');
+          return EXIT_CODES.OK;
+        }
+        const filePath = options.out || path.join('./output', defaultBundleName(bundle.sessions));
+        const size = writeBundleFile(filePath, bundle);
+        console.log(`✅ Exported ${bundle.sessions.length} sessions to ${filePath} (${(size / 1024).toFixed(1)} KB)`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'import': {
+        const file = args[0] || options.input;
+        if (!file) throw new CliUsageError('Usage: anyany sessions import <bundle> [--on-conflict auto|skip|overwrite|copy]');
+        const onConflict = options.onConflict || 'auto';
+        if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+          throw new CliUsageError(`--on-conflict must be one of ${CONFLICT_STRATEGIES.join(', ')}`);
+        }
+        if (file !== '-' && !fs.existsSync(file)) throw new CliUsageError(`Bundle not found: ${file}`);
+        const bundle = file === '-' ? parseSessionBundle(Buffer.from(await readStdin()), 'stdin') : readBundleFile(file);
+        const summary = await importSessionBundle(sessionManager, bundle, { onConflict });
+        console.log(`✅ ${formatImportSummary(summary)}`);
+        [...summary.imported, ...summary.overwritten, ...summary.copied].forEach(s => process.stdout.write(`${s.id}  ${s.name}\n`));
+        return EXIT_CODES.OK;
+      }
+
+      case 'merge': {
+        if (args.length !== 2) throw new CliUsageError('Usage: anyany sessions merge <id|name> <id|name> [--name "merged name"]');
+        const merged = mergeSessions(sessionManager, resolveId(args[0]), resolveId(args[1]), options.name);
+        console.log(`✅ Merged into "${merged.name}" with ${merged.conversations.length} conversations`);
+        process.stdout.write(`${merged.id}\n`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'transcript': {
+        if (!args[0]) throw new CliUsageError('Usage: anyany sessions transcript <id|name> [--format md|html|json|txt] [--since date] [--until date] [--out path]');
+        const session = sessionManager.readSessionFile(resolveId(args[0]));
+        if (!session) return EXIT_CODES.FAILURE;
+        const formatKey = options.format || (options.out ? path.extname(options.out).slice(1) : '') || 'md';
+        if (!TRANSCRIPT_RENDERERS[formatKey]) throw new CliUsageError(`Unknown format "${formatKey}"`);
+        let range;
+        try {
+          range = { since: parseSearchDate(options.since), until: parseSearchDate(options.until, true) };
+        } catch (error) {
+          throw new CliUsageError(error.message);
+        }
+        writeOutputFile(generateSessionTranscript(session, formatKey, range), `transcript_${session.name}`, EXPORT_FORMATS[formatKey], options.out);
+        return EXIT_CODES.OK;
+      }
+
+      case 'repair': {
+        let results;
+        if (args[0]) {
+          if (!fs.existsSync(args[0])) throw new CliUsageError(`File not found: ${args[0]}`);
+          results = [repairSessionFile(sessionManager, args[0])];
+        } else {
+          const repaired = repairSessions(sessionManager);
+          results = repaired.results;
+          if (repaired.removedTemp > 0) console.log(`🧹 Removed ${repaired.removedTemp} leftover temporary files`);
+        }
+        if (results.length === 0) console.log('✅ No damaged session files found');
+        results.forEach(result => console.log(formatRepairResult(result)));
+        return results.some(result => result.error) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+      }
+
+      case 'migrate': {
+        const { migrated, truncated, total } = sessionManager.migrateSessions();
+        console.log(`✅ Migrated ${migrated} of ${total} session files to format v${SESSION_FORMAT_VERSION}`);
+        if (truncated > 0) console.log(`⚠️  ${truncated} conversations were already truncated by the old format (flagged in metadata.truncated)`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'prune': {
+        const policy = retentionSettings();
+        console.log(`📏 Retention policy: ${describeRetentionPolicy(policy)}`);
+        const report = await applyRetention(sessionManager, { dryRun: options.dryRun, policy });
+        printRetentionReport(report, options.dryRun);
+        report.expired.forEach(info => process.stdout.write(`${info.id}  ${info.name}\n`));
+        return report.compactions.some(result => result.error) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+      }
+
+      case 'archive':
+      case 'delete': {
+        const archive = action === 'archive' || Boolean(options.archive);
+        let filter;
+        try {
+          filter = parseRetentionFilter(options);
+        } catch (error) {
+          throw new CliUsageError(error.message);
+        }
+        if (args.length === 0 && !hasRetentionFilter(filter)) {
+          throw new CliUsageError(`Usage: anyany sessions ${action} [<id|name>...] [--older-than days|date] [--name text] [--tag tag] [--model text] [--empty] [--dry-run]`);
+        }
+        const ids = new Set(args.map(resolveId));
+        const matches = sessionInventory(sessionManager).filter(info => ids.has(info.id) ||
+          (hasRetentionFilter(filter) && !isProtectedSession(sessionManager, info) && matchesRetentionFilter(info, filter)));
+        if (matches.length === 0) {
+          console.log('📭 No sessions match (the current session and sessions tagged "keep" are never included)');
+          return EXIT_CODES.OK;
+        }
+        console.log(`${options.dryRun ? '🔍 Would remove' : '🧹 Removing'} ${matches.length} sessions, ${formatBytes(matches.reduce((sum, info) => sum + info.size, 0))}`);
+        matches.forEach(info => process.stdout.write(`${formatRetentionCandidate(info)}\n`));
+        if (!options.dryRun) console.log(`✅ ${formatRemoval(removeSessions(sessionManager, matches.map(info => info.id), { archive }))}`);
+        return EXIT_CODES.OK;
+      }
+
+      case 'compact': {
+        if (args.length === 0) throw new CliUsageError('Usage: anyany sessions compact <id|name>...|all [--keep n] [--dry-run]');
+        const keepRecent = options.keep !== undefined ? Number(options.keep) : undefined;
+        if (keepRecent !== undefined && !(Number.isInteger(keepRecent) && keepRecent >= 0)) {
+          throw new CliUsageError('--keep must be a whole number');
+        }
+        const ids = args.includes('all') ? sessionManager.listSessions().map(s => s.id) : args.map(resolveId);
+        let failed = false;
+        for (const id of ids) {
+          try {
+            const result = await compactSession(sessionManager, id, { keepRecent, dryRun: options.dryRun });
+            if (result) console.log(formatCompaction(result, options.dryRun));
+          } catch (error) {
+            console.log(`❌ ${id}: ${error.message}`);
+            failed = true;
+          }
+        }
+        return failed ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+      }
+
+      default:
+        throw new CliUsageError('Usage: anyany sessions list|rename|tag|untag|note|fork|transcript|export|import|merge|repair|migrate|prune|archive|delete|compact');
+    }
+  },
+
+  'multi-agent': async (args, options, sessionManager) => {
+    const input = await resolveCliInput(args, options);
+    const result = await handleMultiAgentMode(sessionManager, {
+      ...options,
+      input,
+      mode: options.mode || (options.pipeline ? 'pipeline' : 'debate'),
+      agents: options.agents ? parseAgentList(options.agents) : undefined
+    });
+    return result.success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+  },
+
+  pipelines: async ([action, ...args], options, sessionManager) => {
+    switch (action) {
+      case 'list': {
+        const pipelines = await listSavedPipelines();
+        if (options.format === 'json') {
+          process.stdout.write(JSON.stringify(pipelines, null, 2) + '\n');
+        } else if (pipelines.length === 0) {
+          console.log(`No pipelines in ${pipelinesDir()}`);
+        } else {
+          pipelines.forEach(pipeline => {
+            const description = pipeline.description ? `  ${pipeline.description}` : '';
+            process.stdout.write(`${pipeline.name}  (${pipeline.steps.length} steps, ${pipeline.file})${description}\n`);
+          });
+        }
+        return EXIT_CODES.OK;
+      }
+
+      // Also validates the file, so it doubles as a check in CI
+      case 'show': {
+        if (!args[0]) throw new CliUsageError('Usage: anyany pipelines show <name|file>');
+        const pipeline = await findPipeline(args[0]);
+        if (options.format === 'json') {
+          process.stdout.write(JSON.stringify(pipeline, null, 2) + '\n');
+          return EXIT_CODES.OK;
+        }
+        process.stdout.write(`${pipeline.name} (${pipeline.file})\n${pipeline.description ? `${pipeline.description}\n` : ''}`);
+        pipeline.steps.forEach((step, index) => {
+          const details = [
+            step.agent ? formatModelRef(step.agent) : 'selected agent',
+            step.task ? `task ${step.task.toLowerCase()}` : null,
+            step.prompt ? 'prompt template' : `input: ${step.input.join(', ')}`,
+            step.stopIf ? 'stopIf' : null,
+            step.output ? `output: ${step.output}` : null
+          ].filter(Boolean);
+          process.stdout.write(`${index + 1}. ${pipelineStepLabel(step)}  ${details.join(' · ')}\n`);
+        });
+        return EXIT_CODES.OK;
+      }
+
+      case 'run': {
+        if (!args[0]) throw new CliUsageError('Usage: anyany pipelines run <name|file> [text]');
+        return CLI_COMMANDS['multi-agent'](args.slice(1), { ...options, mode: 'pipeline', pipeline: args[0] }, sessionManager);
+      }
+
+      default:
+        throw new CliUsageError('Usage: anyany pipelines list|show|run');
+    }
+  }
+};
+
+/**
+ * Entry point for both modes: without a command the interactive menu starts,
+ * otherwise the command runs headless and resolves to a process exit code.
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\nRun "anyany --help" for usage.`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help || command === 'help') {
+    showHelp();
+    return EXIT_CODES.OK;
+  }
+
+  if (options.config) {
+    if (!fs.existsSync(options.config)) {
+      console.error(`❌ Config file not found: ${options.config}`);
+      return EXIT_CODES.USAGE;
+    }
+    CONFIG = loadConfig(options.config);
+  }
+
+  if (options.timeout !== undefined || options.retries !== undefined) {
+    const timeoutSeconds = Number(options.timeout ?? 120);
+    const retries = Number(options.retries ?? 3);
+    if (!(timeoutSeconds > 0) || !Number.isInteger(retries) || retries < 0) {
+      console.error('❌ --timeout must be a positive number of seconds and --retries a whole number');
+      return EXIT_CODES.USAGE;
+    }
+    runOverrides = {
+      ...(options.timeout !== undefined ? { timeoutMs: timeoutSeconds * 1000 } : {}),
+      ...(options.retries !== undefined ? { retries } : {})
+    };
+  }
+
+  if (options.noCache || options.refresh) {
+    CONFIG = { ...CONFIG, cache: { ...CONFIG.cache, mode: options.noCache ? 'off' : 'refresh' } };
+  }
+
+  if (options.record || options.fixtures) {
+    CONFIG = {
+      ...CONFIG,
+      replay: {
+        ...CONFIG.replay,
+        ...(options.record ? { record: true } : {}),
+        ...(options.fixtures ? { fixturesDir: options.fixtures } : {})
+      }
+    };
+  }
+
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      console.error('❌ --concurrency must be a whole number of at least 1');
+      return EXIT_CODES.USAGE;
+    }
+    CONFIG = { ...CONFIG, concurrency };
+  }
+
+  const budgetOverrides = {};
+  for (const scope of BUDGET_SCOPES) {
+    const value = options[`${scope}Budget`];
+    if (value === undefined) continue;
+    try {
+      budgetOverrides[scope] = parseBudgetLimit(value);
+    } catch (error) {
+      console.error(`❌ --${scope}-budget: ${error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+  if (Object.keys(budgetOverrides).length > 0) {
+    CONFIG = { ...CONFIG, budgets: { ...CONFIG.budgets, ...budgetOverrides } };
+  }
+
+  if (!command) {
+    await checkForUpdates();
+    await main();
+    return EXIT_CODES.OK;
+  }
+
+  // The chat prompt is interactive, so it skips headless mode
+  if (command === 'repl') {
+    let chatOptions;
+    try {
+      chatOptions = { ...options, ...fallbackOptions(options), ...generationOptions(options) };
+    } catch (error) {
+      console.error(`❌ ${error.message}\nRun "anyany --help" for usage.`);
+      return EXIT_CODES.USAGE;
+    }
+    const sessionManager = await initializeApp();
+    if (options.session && !sessionManager.loadSession(options.session)) {
+      console.error(`❌ Session not found: ${options.session}`);
+      return EXIT_CODES.USAGE;
+    }
+    await handleChat(sessionManager, chatOptions);
+    rl?.close();
+    return EXIT_CODES.OK;
+  }
+
+  const runCommand = CLI_COMMANDS[command];
+  if (!runCommand) {
+    console.error(`❌ Unknown command "${command}". Available: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  headless = true;
+  // Keep stdout clean for the result so it can be piped
+  console.log = (...messages) => console.error(...messages);
+
+  try {
+    applyConfig();
+    if (options.provider && !MODELS[options.provider]) {
+      throw new CliUsageError(`Unknown provider "${options.provider}". Available: ${Object.keys(MODELS).join(', ')}`);
+    }
+    if (options.format && !EXPORT_FORMATS[options.format]) {
+      throw new CliUsageError(`Unknown format "${options.format}". Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const sessionManager = new SessionManager();
+    if (options.session && !sessionManager.loadSession(options.session)) {
+      throw new CliUsageError(`Session not found: ${options.session}`);
+    }
+
+    await loadOllamaModels();
+    await discoverEndpointModels();
+    return await runCommand(args, { ...options, ...fallbackOptions(options), ...generationOptions(options) }, sessionManager);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof CliUsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+  }
 }
 
 // =====================
@@ -1867,11 +8023,34 @@ async function checkForUpdates() {
     // This would typically check a remote version file
     // For now, we'll just show current version info
     console.log('ℹ️  Enhanced QA AI Agent CLI v3.0 - Latest Version');
-    main();
   } catch (error) {
     // Silently fail if update check fails
   }
 }
 
-// Run update check in background (non-blocking)
-checkForUpdates();
\ No newline at end of file
+// =====================
+// START APPLICATION
+// =====================
+function isMainModule() {
+  if (!process.argv[1]) return false;
+  try {
+    // Resolve symlinks so the npm "anyany" bin link is detected too
+    return import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
+
+if (isMainModule()) {
+  runCli(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error('\n💥 Fatal Error:', error.message);
+    console.log('🔧 Troubleshooting tips:');
+    console.log('  • Check your API keys in .env file');
+    console.log('  • Ensure internet connection for cloud models');
+    console.log('  • For Ollama: Run "ollama serve" if using local models');
+    console.log('  • Check file permissions in current directory');
+    process.exit(1);
+  });
+}
@@ -0,0 +1,156 @@
+// Drives the multi-agent modes and batch processing through the CLI against
+// the fixtures in test/fixtures, replayed by the mock provider. Each run
+// works in a temporary directory so sessions and reports stay out of the repo.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anyany-test-'));
+const startDir = process.cwd();
+let runCli;
+
+before(async () => {
+  process.chdir(workDir);
+  fs.writeFileSync('test.config.json', JSON.stringify({
+    replay: { fixturesDir, onMiss: 'error' },
+    cache: { mode: 'off' },
+    retries: 0
+  }));
+  process.env.ANYANY_CONFIG = path.join(workDir, 'test.config.json');
+  // Nothing listens here, so Ollama counts as unavailable without waiting
+  process.env.OLLAMA_HOST = 'http://127.0.0.1:9';
+  ({ runCli } = await import('../agent.js'));
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// The conversations of the session written last
+function latestSession() {
+  const files = fs.readdirSync('sessions').filter(f => f.endsWith('.json'))
+    .map(f => path.join('sessions', f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return JSON.parse(fs.readFileSync(files[0], 'utf8'));
+}
+
+test('debate: stances pick their fixtures and the moderator reads the transcript', async () => {
+  const code = await runCli([
+    'multi-agent', 'Should we ship the retry fix?', '--mode', 'debate',
+    '--agents', 'mock:pro,mock:con', '--moderator', 'mock:judge',
+    '--rounds', '1', '--stances', 'pro,con', '--out', 'debate.md'
+  ]);
+  assert.equal(code, 0);
+
+  const report = fs.readFileSync('debate.md', 'utf8');
+  assert.match(report, /## Points of Agreement/);
+  assert.match(report, /Ship the fix behind a flag/);
+  assert.match(report, /mock-con \(con\)\n\nWait: the retry fix/);
+
+  const { metadata } = latestSession().conversations.at(-1);
+  assert.deepEqual(metadata.debate.stances, ['pro', 'con']);
+  assert.deepEqual(metadata.calls.map(call => call.role || 'agent'), ['agent', 'agent', 'moderator']);
+});
+
+test('debate: invalid rounds and stances are usage errors', async () => {
+  assert.equal(await runCli(['multi-agent', 'x', '--mode', 'debate', '--agents', 'mock:pro,mock:con', '--rounds', '0']), 2);
+  assert.equal(await runCli(['multi-agent', 'x', '--mode', 'debate', '--agents', 'mock:pro,mock:con', '--stances', 'pro,con,pro']), 2);
+  assert.equal(await runCli(['multi-agent', 'x', '--mode', 'debate', '--agents', 'mock:pro,mock:con', '--moderator', 'nope']), 2);
+});
+
+test('pipeline: steps get their template, mapped inputs and prompt', async () => {
+  fs.mkdirSync('pipelines', { recursive: true });
+  fs.writeFileSync(path.join('pipelines', 'triage.json'), JSON.stringify({
+    name: 'Triage',
+    steps: [
+      { id: 'analysis', role: 'Log analyst', agent: 'mock:analyst', task: 'bug_analysis' },
+      { id: 'repro', agent: 'mock:qa', input: ['input', 'analysis'], output: 'repro.md' },
+      { id: 'impact', agent: 'mock:writer', prompt: 'Impact?\n\nRepro:\n{{previous}}' }
+    ]
+  }));
+
+  const code = await runCli(['pipelines', 'run', 'triage', 'Checkout times out', '--out', 'pipeline.md']);
+  assert.equal(code, 0);
+  assert.equal(fs.readFileSync('repro.md', 'utf8'), '1. Add an item\n2. Pay\n3. Wait 30s');
+  assert.match(fs.readFileSync('pipeline.md', 'utf8'), /FINAL OUTPUT[\s\S]*Customers cannot pay/);
+  assert.deepEqual(latestSession().conversations.at(-1).metadata.pipeline.steps.map(step => step.id), ['analysis', 'repro', 'impact']);
+});
+
+test('pipeline: stopIf ends the run after the matching step', async () => {
+  fs.writeFileSync(path.join('pipelines', 'gate.json'), JSON.stringify({
+    name: 'Gate',
+    steps: [
+      { id: 'analysis', agent: 'mock:analyst', task: 'bug_analysis', stopIf: { field: 'Impact Level', equals: ['High'] } },
+      { id: 'never', agent: 'mock:missing' }
+    ]
+  }));
+
+  const code = await runCli(['multi-agent', 'Checkout times out', '--pipeline', 'gate', '--out', 'gate.md']);
+  assert.equal(code, 0);
+  const { pipeline } = latestSession().conversations.at(-1).metadata;
+  assert.deepEqual(pipeline.stopped, { step: 'analysis', reason: 'Impact Level is High' });
+  assert.equal(pipeline.steps.length, 1);
+});
+
+test('pipeline: an unknown pipeline is a usage error and bad step params fail validation', async () => {
+  assert.equal(await runCli(['multi-agent', 'x', '--pipeline', 'nope']), 2);
+
+  fs.writeFileSync(path.join('pipelines', 'hot.json'), JSON.stringify({
+    steps: [{ id: 'draft', agent: 'mock:writer', params: { temperature: 9 } }]
+  }));
+  assert.equal(await runCli(['pipelines', 'show', 'hot']), 2);
+  assert.equal(await runCli(['pipelines', 'show', path.join('pipelines', 'hot.json')]), 1);
+});
+
+test('consensus: majority vote and agreement between agents', async () => {
+  const code = await runCli([
+    'multi-agent', 'Why does the payment time out?', '--mode', 'consensus',
+    '--agents', 'mock:a,mock:b,mock:c', '--out', 'consensus.md'
+  ]);
+  assert.equal(code, 0);
+
+  const report = fs.readFileSync('consensus.md', 'utf8');
+  assert.match(report, /Impact Level: \*\*High\*\* \(2 of 3\) — dissent: Critical: mock-b/);
+  assert.match(report, /Add a circuit breaker around the retry loop\. \[mock-b\]/);
+
+  const { consensus } = latestSession().conversations.at(-1).metadata;
+  assert.equal(consensus.pairs.find(pair => pair.agents.join() === 'mock-a,mock-c').agreement, 100);
+  assert.ok(consensus.agreement < 100);
+});
+
+test('consensus: an invalid judge is a usage error', async () => {
+  assert.equal(await runCli(['multi-agent', 'x', '--mode', 'consensus', '--agents', 'mock:a,mock:b', '--judge', 'nope']), 2);
+});
+
+test('batch: replayed answers and a simulated failure give a partial result', async () => {
+  fs.writeFileSync('queries.jsonl', [
+    { query: 'What is a smoke test?' },
+    { query: 'What is a regression test?' },
+    { query: 'boom' }
+  ].map(query => JSON.stringify(query)).join('\n'));
+
+  const code = await runCli(['batch', 'queries.jsonl', '--provider', 'mock', '--model', 'replay']);
+  assert.equal(code, 3);
+  const outputs = latestSession().conversations.map(conv => conv.output);
+  assert.ok(outputs.includes('A quick check that the build works at all.'));
+  assert.ok(outputs.includes('A test that guards behaviour that used to work.'));
+});
+
+test('batch: parallel requests stop at a token budget without going over it', async () => {
+  fs.writeFileSync('budget.txt', [1, 2, 3, 4, 5, 6].map(n => `Budget query ${n}`).join('\n'));
+
+  const code = await runCli([
+    'batch', 'budget.txt', '--provider', 'mock', '--model', 'replay',
+    '--concurrency', '3', '--batch-budget', '1600 tokens'
+  ]);
+  assert.equal(code, 3);
+  const conversations = latestSession().conversations.filter(conv => conv.input.startsWith('Budget query'));
+  const spent = conversations.reduce((sum, conv) => sum + conv.metadata.usage.totalTokens, 0);
+  assert.equal(conversations.length, 3);
+  assert.ok(spent <= 1600);
+});
@@ -0,0 +1,90 @@
+// Session export, import and merge through the CLI. Sessions are created by
+// a batch replayed from test/fixtures, in a temporary working directory.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anyany-test-'));
+const startDir = process.cwd();
+let runCli;
+
+before(async () => {
+  process.chdir(workDir);
+  fs.writeFileSync('test.config.json', JSON.stringify({
+    replay: { fixturesDir, onMiss: 'error' },
+    cache: { mode: 'off' },
+    retries: 0
+  }));
+  process.env.ANYANY_CONFIG = path.join(workDir, 'test.config.json');
+  // Nothing listens here, so Ollama counts as unavailable without waiting
+  process.env.OLLAMA_HOST = 'http://127.0.0.1:9';
+  ({ runCli } = await import('../agent.js'));
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function sessionFiles() {
+  return fs.readdirSync('sessions').filter(f => f.endsWith('.json'));
+}
+
+// The session written last
+function latestSession() {
+  const files = sessionFiles().map(f => path.join('sessions', f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return JSON.parse(fs.readFileSync(files[0], 'utf8'));
+}
+
+// A session with two batch answers
+async function createSession() {
+  fs.writeFileSync('queries.txt', 'What is a smoke test?\nWhat is a regression test?');
+  assert.equal(await runCli(['batch', 'queries.txt', '--provider', 'mock', '--model', 'replay']), 0);
+  return latestSession();
+}
+
+test('merge: a session merged with its fork keeps and counts shared conversations once', async () => {
+  const original = await createSession();
+  assert.equal(await runCli(['sessions', 'fork', original.id]), 0);
+  const fork = latestSession();
+  assert.notEqual(fork.id, original.id);
+
+  assert.equal(await runCli(['sessions', 'merge', original.id, fork.id]), 0);
+  const merged = latestSession();
+  assert.deepEqual(merged.mergedFrom, [original.id, fork.id]);
+  assert.equal(merged.conversations.length, original.conversations.length);
+  assert.equal(merged.totalRequests, original.conversations.length);
+});
+
+test('import: a bundle with content that does not match its hash is rejected', async () => {
+  const session = await createSession();
+  assert.equal(await runCli(['sessions', 'export', session.id, '--out', 'bundle.anyany.json']), 0);
+
+  const bundle = JSON.parse(fs.readFileSync('bundle.anyany.json', 'utf8'));
+  const hash = crypto.createHash('sha256').update('the real answer').digest('hex');
+  bundle.sessions[0].id = 'tampered';
+  bundle.sessions[0].conversations[0].output = { $blob: hash };
+  bundle.blobs[hash] = 'a different answer';
+  fs.writeFileSync('bundle.anyany.json', JSON.stringify(bundle));
+
+  const before = sessionFiles();
+  assert.equal(await runCli(['sessions', 'import', 'bundle.anyany.json']), 1);
+  assert.deepEqual(sessionFiles(), before);
+  assert.ok(!fs.existsSync(path.join('sessions', 'blobs', `${hash}.txt`)));
+});
+
+test('session ids that leave the sessions directory are rejected', async () => {
+  const outside = { id: 'outside', name: 'Outside', conversations: [], totalRequests: 0, models: [] };
+  fs.writeFileSync('outside.json', JSON.stringify(outside));
+  fs.writeFileSync('queries.txt', 'What is a smoke test?');
+
+  assert.equal(await runCli(['batch', 'queries.txt', '--provider', 'mock', '--model', 'replay', '--session', '../outside']), 2);
+  assert.equal(await runCli(['sessions', 'fork', '../outside']), 2);
+  assert.deepEqual(JSON.parse(fs.readFileSync('outside.json', 'utf8')), outside);
+});